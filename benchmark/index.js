@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * Measures the overhead of double-stack compared to plain Node.js. Each scenario runs in its own
+ * process so that patches and hooks from one scenario do not leak into another.
+ *
+ * Usage: node benchmark/index.js [iterations]
+ */
+
+const fork = require('child_process').fork;
+const path = require('path');
+
+const scenarios = [ 'node', 'wrap', 'hooks' ];
+const iterations = parseInt(process.argv[2]) || 10000;
+
+const workloads = {
+	'nextTick()': done => {
+		let i = 0;
+		(function tick() {
+			if (++i < iterations) {
+				process.nextTick(tick);
+			} else {
+				done();
+			}
+		}());
+	},
+
+	'Promise.then()': done => {
+		let p = Promise.resolve();
+		for (let i = 0; i < iterations; i++) {
+			p = p.then(() => {});
+		}
+		p.then(done);
+	},
+
+	'setImmediate()': done => {
+		let i = 0;
+		(function immediate() {
+			if (++i < iterations) {
+				setImmediate(immediate);
+			} else {
+				done();
+			}
+		}());
+	},
+
+	'error.stack': done => {
+		let i = 0;
+		(function read() {
+			new Error().stack;
+			if (++i < iterations / 10) {
+				setImmediate(read);
+			} else {
+				done();
+			}
+		}());
+	}
+};
+
+/**
+ * Runs the workloads in sequence and sends the elapsed times to the parent process.
+ * @param {String} scenario - The name of the scenario.
+ */
+function runScenario(scenario) {
+	if (scenario !== 'node') {
+		if (scenario === 'hooks') {
+			try {
+				require('async_hooks');
+			} catch (e) {
+				process.send({ skipped: 'async_hooks not supported' });
+				return;
+			}
+		}
+		require('../dist/double-stack').install({ backend: scenario });
+	}
+
+	const names = Object.keys(workloads);
+	const results = {};
+
+	(function next() {
+		const name = names.shift();
+		if (!name) {
+			results.heapUsed = process.memoryUsage().heapUsed;
+			process.send({ results });
+			return;
+		}
+
+		const start = process.hrtime();
+		workloads[name](() => {
+			const delta = process.hrtime(start);
+			results[name] = delta[0] * 1e3 + delta[1] / 1e6;
+			setImmediate(next);
+		});
+	}());
+}
+
+/**
+ * Forks a child process for the specified scenario.
+ * @param {String} scenario - The name of the scenario.
+ * @returns {Promise}
+ */
+function forkScenario(scenario) {
+	return new Promise((resolve, reject) => {
+		let result = null;
+		const child = fork(__filename, [ String(iterations) ], {
+			env: Object.assign({}, process.env, { DOUBLE_STACK_SCENARIO: scenario })
+		});
+		child.on('message', msg => {
+			result = msg;
+		});
+		child.on('error', reject);
+		child.on('exit', code => {
+			if (code) {
+				reject(new Error(`Scenario "${scenario}" exited with code ${code}`));
+			} else {
+				resolve(result);
+			}
+		});
+	});
+}
+
+/**
+ * Formats a cell to a fixed width.
+ * @param {*} value - The value to format.
+ * @param {Number} width - The width of the cell.
+ * @returns {String}
+ */
+function pad(value, width) {
+	value = String(value);
+	return value + ' '.repeat(Math.max(width - value.length, 0));
+}
+
+if (process.env.DOUBLE_STACK_SCENARIO) {
+	runScenario(process.env.DOUBLE_STACK_SCENARIO);
+} else {
+	const results = {};
+
+	console.log(`Running ${iterations} iterations per workload on Node.js ${process.version}\n`);
+
+	scenarios
+		.reduce((promise, scenario) => {
+			return promise
+				.then(() => forkScenario(scenario))
+				.then(result => {
+					results[scenario] = result;
+				});
+		}, Promise.resolve())
+		.then(() => {
+			const baseline = results.node.results;
+			const rows = Object.keys(workloads).concat('heapUsed');
+
+			console.log(pad('', 18) + scenarios.map(s => pad(s, 22)).join(''));
+
+			for (const row of rows) {
+				let line = pad(row, 18);
+				for (const scenario of scenarios) {
+					const result = results[scenario];
+					if (result.skipped) {
+						line += pad('skipped', 22);
+						continue;
+					}
+
+					const value = result.results[row];
+					const overhead = scenario === 'node' ? '' : ` (${(value / baseline[row]).toFixed(1)}x)`;
+					line += pad(row === 'heapUsed' ? `${(value / 1048576).toFixed(1)}MB${overhead}` : `${value.toFixed(1)}ms${overhead}`, 22);
+				}
+				console.log(line);
+			}
+		})
+		.catch(err => {
+			console.error(err.stack);
+			process.exit(1);
+		});
+}
@@ -0,0 +1,50 @@
+/**
+ * The major version of Node.js.
+ */
+const major = parseInt(process.versions.node.split('.')[0]);
+
+/**
+ * The internal bindings that have been loaded.
+ */
+const bindings = {};
+
+/**
+ * Returns an internal binding such as `pipe_wrap` or `null` if it is not available. Starting with
+ * Node.js 11, the internal bindings are loaded using `internalBinding()` and `process.binding()` is
+ * a deprecated shim that has dropped modules such as `timer_wrap` and emits a warning when
+ * accessing the others, so it is only used prior to Node.js 11.
+ * @param {String} name - The name of the binding.
+ * @returns {Object}
+ */
+module.exports.getBinding = function getBinding(name) {
+	if (!Object.prototype.hasOwnProperty.call(bindings, name)) {
+		bindings[name] = null;
+		if (major < 11 && typeof process.binding === 'function') {
+			try {
+				bindings[name] = process.binding(name);
+			} catch (e) {
+				// the binding does not exist in this version of Node.js
+			}
+		}
+	}
+	return bindings[name];
+};
+
+/**
+ * Determines if a value is an instance of an internal handle class such as `Pipe` in `pipe_wrap`.
+ * When the binding is not available, the name of the value's constructor is compared instead.
+ * @param {*} value - The value to check.
+ * @param {String} name - The name of the binding that exports the class.
+ * @param {String} className - The name of the class.
+ * @returns {Boolean}
+ */
+module.exports.isHandle = function isHandle(value, name, className) {
+	if (!value || typeof value !== 'object') {
+		return false;
+	}
+	const binding = module.exports.getBinding(name);
+	if (binding && typeof binding[className] === 'function') {
+		return value instanceof binding[className];
+	}
+	return !!value.constructor && value.constructor.name === className;
+};
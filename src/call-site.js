@@ -0,0 +1,212 @@
+/**
+ * A plain implementation of the V8 CallSite API used for frames that are not backed by a real
+ * call site such as frames parsed from a rendered stack trace.
+ */
+module.exports = class CallSite {
+	/**
+	 * Initializes the call site.
+	 * @param {Object} frame - The frame details.
+	 * @param {String} [frame.fileName] - The name of the file.
+	 * @param {String} [frame.scriptName] - The name of the script or source URL.
+	 * @param {String} [frame.evalOrigin] - Where the `eval()` was called.
+	 * @param {String} [frame.typeName] - The type of `this`.
+	 * @param {String} [frame.functionName] - The name of the function.
+	 * @param {String} [frame.methodName] - The name of the property the function was called as.
+	 * @param {Number} [frame.lineNumber] - The line number.
+	 * @param {Number} [frame.columnNumber] - The column number.
+	 * @param {Boolean} [frame.isToplevel] - When true, the function was not called as a method.
+	 * @param {Boolean} [frame.isEval] - When true, the code was evaluated.
+	 * @param {Boolean} [frame.isNative] - When true, the function is native.
+	 * @param {Boolean} [frame.isConstructor] - When true, the function was called with `new`.
+	 * @param {Boolean} [frame.isAsync] - When true, the frame is an awaiting async function.
+	 */
+	constructor(frame) {
+		this.frame = {
+			fileName:      frame.fileName || null,
+			scriptName:    frame.scriptName || frame.fileName || null,
+			evalOrigin:    frame.evalOrigin || null,
+			typeName:      frame.typeName || null,
+			functionName:  frame.functionName || null,
+			methodName:    frame.methodName || null,
+			lineNumber:    frame.lineNumber || null,
+			columnNumber:  frame.columnNumber || null,
+			isToplevel:    !!frame.isToplevel,
+			isEval:        !!frame.isEval,
+			isNative:      !!frame.isNative,
+			isConstructor: !!frame.isConstructor,
+			isAsync:       !!frame.isAsync
+		};
+	}
+
+	/**
+	 * Parses a line from a stack trace rendered by V8 such as
+	 * `    at Type.fn [as method] (/path/to/file.js:1:2)`.
+	 * @param {String} line - The line to parse.
+	 * @returns {CallSite} The call site or `null` if the line is not a frame.
+	 */
+	static parse(line) {
+		const m = line.match(/^\s*at (?:(.+?) \((.*)\)|(.*))$/);
+		if (!m) {
+			return null;
+		}
+
+		const frame = { isToplevel: true };
+		let name = m[1];
+		let location = m[1] ? m[2] : m[3];
+
+		if (name) {
+			if (name.indexOf('async ') === 0) {
+				frame.isAsync = true;
+				name = name.substring(6);
+			}
+			if (name.indexOf('new ') === 0) {
+				frame.isConstructor = true;
+				frame.isToplevel = false;
+				name = name.substring(4);
+			}
+			const as = name.match(/^(.*) \[as ([^\]]+)\]$/);
+			if (as) {
+				name = as[1];
+				frame.methodName = as[2];
+			}
+			const dot = name.indexOf('.');
+			if (!frame.isConstructor && dot > 0) {
+				frame.isToplevel = false;
+				frame.typeName = name.substring(0, dot);
+				name = name.substring(dot + 1);
+			}
+			frame.functionName = name === '<anonymous>' ? null : name;
+		}
+
+		if (location === 'native') {
+			frame.isNative = true;
+			return new CallSite(frame);
+		}
+
+		const evalMatch = location.match(/^(eval at .*), (.*)$/);
+		if (evalMatch) {
+			frame.isEval = true;
+			frame.evalOrigin = evalMatch[1];
+			location = evalMatch[2];
+		}
+
+		const pos = location.match(/^(.*):(\d+):(\d+)$/);
+		if (pos) {
+			if (pos[1] !== '<anonymous>') {
+				frame.fileName = pos[1];
+			}
+			frame.lineNumber = parseInt(pos[2]);
+			frame.columnNumber = parseInt(pos[3]);
+		} else if (location !== '<anonymous>') {
+			frame.fileName = location;
+		}
+
+		return new CallSite(frame);
+	}
+
+	getThis() {
+		return undefined;
+	}
+
+	getTypeName() {
+		return this.frame.typeName;
+	}
+
+	getFunction() {
+		return undefined;
+	}
+
+	getFunctionName() {
+		return this.frame.functionName;
+	}
+
+	getMethodName() {
+		return this.frame.methodName;
+	}
+
+	getFileName() {
+		return this.frame.fileName;
+	}
+
+	getLineNumber() {
+		return this.frame.lineNumber;
+	}
+
+	getColumnNumber() {
+		return this.frame.columnNumber;
+	}
+
+	getEvalOrigin() {
+		return this.frame.evalOrigin;
+	}
+
+	getScriptNameOrSourceURL() {
+		return this.frame.scriptName;
+	}
+
+	isToplevel() {
+		return this.frame.isToplevel;
+	}
+
+	isEval() {
+		return this.frame.isEval;
+	}
+
+	isNative() {
+		return this.frame.isNative;
+	}
+
+	isConstructor() {
+		return this.frame.isConstructor;
+	}
+
+	isAsync() {
+		return this.frame.isAsync;
+	}
+
+	/**
+	 * Renders the frame the same way V8 does.
+	 * @returns {String}
+	 */
+	toString() {
+		let fileLocation = '';
+		if (this.isNative()) {
+			fileLocation = 'native';
+		} else {
+			if (this.isEval()) {
+				fileLocation = this.getEvalOrigin() + ', ';
+			}
+			fileLocation += this.getFileName() || '<anonymous>';
+			const lineNumber = this.getLineNumber();
+			if (lineNumber !== null) {
+				fileLocation += ':' + lineNumber;
+				const columnNumber = this.getColumnNumber();
+				if (columnNumber !== null) {
+					fileLocation += ':' + columnNumber;
+				}
+			}
+		}
+
+		const functionName = this.getFunctionName();
+		const methodName = this.getMethodName();
+		let line = this.isAsync() ? 'async ' : '';
+
+		if (this.isConstructor()) {
+			line += 'new ' + (functionName || '<anonymous>');
+		} else if (!this.isToplevel()) {
+			line += this.getTypeName() + '.' + (functionName || '<anonymous>');
+			if (methodName && methodName !== functionName) {
+				line += ` [as ${methodName}]`;
+			}
+		} else if (functionName) {
+			line += functionName;
+			if (methodName && methodName !== functionName) {
+				line += ` [as ${methodName}]`;
+			}
+		} else {
+			return line + fileLocation;
+		}
+
+		return `${line} (${fileLocation})`;
+	}
+};
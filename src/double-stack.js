@@ -1,176 +1,1943 @@
 const EventEmitter = require('events').EventEmitter;
-const ChildProcess = require('child_process').ChildProcess;
+const fs = require('fs');
+const bindings = require('./bindings');
+const CallSite = require('./call-site');
+const childProcess = require('child_process');
+const ChildProcess = childProcess.ChildProcess;
 const Options = require('./options');
+const TraceStore = require('./trace-store');
+const Watchdog = require('./watchdog');
+const dgram = require('dgram');
 const net = require('net');
+const path = require('path');
 const sourceMap = require('source-map-support');
+const tty = require('tty');
+const util = require('util');
 
-// only install source map support if there's not already an Error.prepareStackTrace()
-if (!Error.prepareStackTrace) {
-	sourceMap.install();
+let asyncHooks = null;
+try {
+	asyncHooks = require('async_hooks');
+} catch (e) {
+	// async hooks require Node.js 8 or newer
 }
-const origPrepareStackTrace = Error.prepareStackTrace;
 
-const _listeners = EventEmitter.prototype.listeners;
-const _removeListener = EventEmitter.prototype.removeListener;
-const Timer = process.binding('timer_wrap').Timer;
-const FSEvent = process.binding('fs_event_wrap').FSEvent;
+let perfHooks = null;
+try {
+	perfHooks = require('perf_hooks');
+} catch (e) {
+	// perf hooks require Node.js 8.5 or newer
+}
+
+let workerThreads = null;
+try {
+	workerThreads = require('worker_threads');
+} catch (e) {
+	// worker threads require Node.js 10.5 or newer and the --experimental-worker flag prior to
+	// Node.js 11.7
+}
+
+/**
+ * Whether the `uncaughtExceptionMonitor` event is supported, which was added in Node.js 12.17
+ * and 13.7.
+ */
+const supportsExceptionMonitor = (() => {
+	const version = process.versions.node.split('.').map(Number);
+	return version[0] > 13 || (version[0] === 13 && version[1] >= 7) || (version[0] === 12 && version[1] >= 17);
+})();
+
+const origAddListener = EventEmitter.prototype.addListener;
+const origRemoveListener = EventEmitter.prototype.removeListener;
+const JSON_VERSION = 1;
+const PARENT_TRACE_ENV = 'DOUBLE_STACK_PARENT_TRACE';
+const MAX_PARENT_TRACE_LENGTH = 16384;
+const FORK_ERROR_MESSAGE = '__double_stack_error__';
 let ERROR_ID = 1;
 let currentTraceError = null;
+let currentContext;
+let inMetadataProvider = false;
+let parentProcessTrace = null;
+let parentTraceJson;
+let forkErrorMonitor = null;
+let origPrepareStackTrace = null;
+let sourceMapPrepareStackTrace = null;
+let sourceMapEmit = null;
+let _listeners = null;
+let _removeListener = null;
+let hook = null;
+let promiseHook = null;
+let promiseHookEnabled = false;
+let contextUsed = false;
+let timerHook = null;
+let timerSweepSize = 1000;
+let installedBackend = null;
+let wrapDepth = 0;
+let alwaysTraceDepth = 0;
+let sampleCounter = 0;
+let sampleWindowStart = 0;
+let sampleWindowCount = 0;
+
+/**
+ * A list of the original properties replaced by `install()` so that `uninstall()` can put them
+ * back.
+ */
+const patches = [];
+
+/**
+ * The worker threads created while installed mapped to whether they are ref'd. Worker threads are
+ * not included in the active handles.
+ */
+const activeWorkers = new Map();
+
+/**
+ * The timeouts and immediates created while installed mapped by their async id. Starting with
+ * Node.js 11, timers are not included in the active handles and immediates never have been, so
+ * they are tracked using async hooks. A `destroy` hook makes every promise more expensive, so
+ * timers that are no longer active are removed when the map grows or the handles are read.
+ */
+const activeTimers = new Map();
+
+/**
+ * The signal handles created while installed mapped by their async id. The handles created for
+ * `process.on()` signal listeners are unref'd and Node.js never includes unref'd handles in the
+ * active handles, so they are tracked using async hooks until they are closed.
+ */
+const activeSignals = new Map();
+
+/**
+ * The errors whose nested errors are being rendered used to detect circular causes.
+ */
+const renderingErrors = [];
+
+/**
+ * Initialize the options.
+ */
+const options = module.exports.options = new Options(name => {
+	if (name === 'apis') {
+		updatePromiseHook();
+	}
+});
+
+/**
+ * Tracks the retained trace errors and evicts the least recently used ones to stay within
+ * `options.maxRetainedFrames`.
+ */
+const traceStore = new TraceStore(releaseTrace);
+
+/**
+ * Returns an object with active socket, server, timer, immediate, and other handles as well as the
+ * active requests such as pending fs and dns operations.
+ * @returns {Object}
+ */
+module.exports.getActiveHandles = function getActiveHandles() {
+	const handles = {
+		sockets: [],
+		servers: [],
+		timers: [],
+		immediates: [],
+		childProcesses: [],
+		fsWatchers: [],
+		statWatchers: [],
+		dgram: [],
+		tty: [],
+		pipes: [],
+		signals: [],
+		workers: [],
+		other: [],
+		requests: []
+	};
+	const active = process._getActiveHandles();
+
+	// pipes can't be distinguished from unix domain socket connections, so only the stdio pipes of
+	// this process and its child processes are considered pipes
+	const childStdio = [];
+	for (const handle of active) {
+		if (handle instanceof ChildProcess && Array.isArray(handle.stdio)) {
+			childStdio.push.apply(childStdio, handle.stdio);
+		}
+	}
+
+	for (const handle of active) {
+		if (bindings.isHandle(handle, 'timer_wrap', 'Timer')) {
+			// prior to Node.js 11, each list of timers with the same duration has a timer handle
+			const timerList = handle._list || handle;
+			let t = timerList._idleNext;
+			while (t !== timerList) {
+				handles.timers.push(t);
+				t = t._idleNext;
+			}
+		} else if (isTimeout(handle)) {
+			// prior to Node.js 11, a timeout that was unref'd has its own timer handle and is listed
+			// itself once it's ref'd again
+			handles.timers.push(handle);
+		} else if (handle instanceof tty.ReadStream || handle instanceof tty.WriteStream) {
+			handles.tty.push(handle);
+		} else if (handle instanceof net.Socket) {
+			if (bindings.isHandle(handle._handle, 'pipe_wrap', 'Pipe') && (childStdio.indexOf(handle) !== -1 || handle._handle.fd >= 0 && handle._handle.fd <= 2)) {
+				handles.pipes.push(handle);
+			} else {
+				handles.sockets.push(handle);
+			}
+		} else if (handle instanceof net.Server) {
+			handles.servers.push(handle);
+		} else if (handle instanceof dgram.Socket) {
+			handles.dgram.push(handle);
+		} else if (handle instanceof ChildProcess) {
+			handles.childProcesses.push(handle);
+		} else if (isFSWatcher(handle)) {
+			handles.fsWatchers.push(handle);
+		} else if (isStatWatcher(handle)) {
+			handles.statWatchers.push(handle);
+		} else if (bindings.isHandle(handle, 'pipe_wrap', 'Pipe')) {
+			// the ipc channel of a forked child process
+			handles.pipes.push(handle);
+		} else if (bindings.isHandle(handle, 'signal_wrap', 'Signal')) {
+			handles.signals.push(handle);
+		} else if (workerThreads && handle instanceof workerThreads.Worker) {
+			handles.workers.push(handle);
+		} else {
+			handles.other.push(handle);
+		}
+	}
+
+	for (const entry of activeTimers) {
+		const timer = entry[1].timer;
+		if (!isTimerActive(timer)) {
+			activeTimers.delete(entry[0]);
+		} else if (entry[1].immediate) {
+			handles.immediates.push(timer);
+		} else if (handles.timers.indexOf(timer) === -1) {
+			handles.timers.push(timer);
+		}
+	}
+
+	for (const signal of activeSignals.values()) {
+		if (handles.signals.indexOf(signal) === -1) {
+			handles.signals.push(signal);
+		}
+	}
+
+	for (const entry of activeWorkers) {
+		if (entry[1] && handles.workers.indexOf(entry[0]) === -1) {
+			handles.workers.push(entry[0]);
+		}
+	}
+
+	if (typeof process._getActiveRequests === 'function') {
+		handles.requests = process._getActiveRequests();
+	}
+
+	return handles;
+};
+
+/**
+ * Determines if a timeout or immediate is scheduled. A timer is still tracked after it has run or
+ * been cleared until the tracked timers are swept.
+ * @param {Object} timer - The timeout or immediate.
+ * @returns {Boolean}
+ */
+function isTimerActive(timer) {
+	if (timer._destroyed) {
+		return false;
+	}
+	if ('_onImmediate' in timer) {
+		return true;
+	}
+	// timeouts are removed from their list while their callback runs and intervals are added back
+	// afterwards
+	return timer._idleTimeout !== -1 && (!!timer._idlePrev || !!timer._handle);
+}
+
+/**
+ * Determines if a timeout or immediate keeps the event loop alive.
+ * @param {Object} timer - The timeout or immediate.
+ * @returns {Boolean}
+ */
+function isTimerRefed(timer) {
+	if (typeof timer.hasRef === 'function') {
+		return timer.hasRef();
+	}
+
+	// prior to Node.js 11, unref'd timeouts have their own timer handle and immediates store
+	// whether they are ref'd using a symbol
+	if (timer._handle && typeof timer._handle.hasRef === 'function') {
+		return timer._handle.hasRef();
+	}
+	const refed = Object.getOwnPropertySymbols(timer).filter(s => String(s) === 'Symbol(refed)')[0];
+	return refed ? !!timer[refed] : true;
+}
+
+/**
+ * Determines if a handle is a timeout created by `setTimeout()` or `setInterval()`.
+ * @param {Object} handle - The handle.
+ * @returns {Boolean}
+ */
+function isTimeout(handle) {
+	return '_idleTimeout' in handle && '_onTimeout' in handle;
+}
+
+/**
+ * Determines if a handle is a watcher created by `fs.watch()`.
+ * @param {Object} handle - The handle.
+ * @returns {Boolean}
+ */
+function isFSWatcher(handle) {
+	return handle instanceof EventEmitter && typeof handle.start === 'function' && typeof handle.close === 'function' && bindings.isHandle(handle._handle, 'fs_event_wrap', 'FSEvent');
+}
+
+/**
+ * Determines if a handle is a watcher created by `fs.watchFile()`.
+ * @param {Object} handle - The handle.
+ * @returns {Boolean}
+ */
+function isStatWatcher(handle) {
+	return handle instanceof EventEmitter && bindings.isHandle(handle._handle, 'fs', 'StatWatcher');
+}
+
+/**
+ * Returns the current time of the clock timers are scheduled with.
+ * @returns {Number}
+ */
+function getTimerNow() {
+	const binding = bindings.getBinding('timer_wrap');
+	if (binding) {
+		return binding.Timer.now();
+	}
+	// starting with Node.js 11, the timer clock starts when the Node.js environment is created
+	// which is right after V8 starts
+	return perfHooks.performance.now() - perfHooks.performance.nodeTiming.v8Start;
+}
+
+/**
+ * Formats the address of a socket or server.
+ * @param {Object|String} address - The address returned by `address()`.
+ * @returns {String}
+ */
+function formatAddress(address) {
+	if (!address || typeof address !== 'object') {
+		return address || null;
+	}
+	return (address.family === 'IPv6' || address.family === 6 ? `[${address.address}]` : address.address) + ':' + address.port;
+}
+
+/**
+ * Summarizes a handle such as a timer, socket, server, child process, or fs watcher so that it
+ * can be logged instead of the raw handle.
+ * @param {Object} handle - A handle returned by `getActiveHandles()`.
+ * @returns {Object} The handle `type`, a human-readable `description`, and the details that
+ * depend on the type of handle.
+ */
+module.exports.describeHandle = function describeHandle(handle) {
+	if (!handle || typeof handle !== 'object') {
+		throw new TypeError('Expected handle to be an object');
+	}
+
+	if (isTimeout(handle)) {
+		const delay = handle._idleTimeout;
+		const repeat = handle._repeat ? delay : null;
+		const refed = isTimerRefed(handle);
+		// the timer's start time comes from the cached loop time, so the current time can be behind it
+		const remaining = typeof handle._idleStart === 'number' && delay >= 0 ? Math.min(delay, Math.max(0, Math.round(handle._idleStart + delay - getTimerNow()))) : null;
+		return {
+			type: 'Timeout',
+			description: `${repeat ? 'setInterval' : 'setTimeout'}(${delay}ms)` + (remaining !== null ? ` ${remaining}ms remaining` : '') + (refed ? '' : ' unref\'d'),
+			delay,
+			repeat,
+			remaining,
+			refed
+		};
+	}
+
+	if ('_onImmediate' in handle) {
+		const refed = isTimerRefed(handle);
+		return {
+			type: 'Immediate',
+			description: 'setImmediate()' + (refed ? '' : ' unref\'d'),
+			refed
+		};
+	}
+
+	if (handle instanceof tty.ReadStream || handle instanceof tty.WriteStream) {
+		return {
+			type: 'TTY',
+			description: `TTY fd ${handle.fd}`,
+			fd: handle.fd
+		};
+	}
+
+	if (handle instanceof net.Socket) {
+		const path = handle._pipeName || (handle.server && handle.server._pipeName) || null;
+		const fd = handle._handle && handle._handle.fd >= 0 ? handle._handle.fd : null;
+		const desc = {
+			type: 'Socket',
+			description: null,
+			localAddress: handle.localAddress || null,
+			localPort: handle.localPort || null,
+			remoteAddress: handle.remoteAddress || null,
+			remotePort: handle.remotePort || null,
+			path,
+			bytesRead: handle.bytesRead,
+			bytesWritten: handle.bytesWritten
+		};
+		const local = formatAddress({ address: desc.localAddress, port: desc.localPort, family: (handle.address() || {}).family });
+		const remote = formatAddress({ address: desc.remoteAddress, port: desc.remotePort, family: handle.remoteFamily });
+		const endpoint = desc.remoteAddress ? `${local} -> ${remote}` : path || (fd !== null ? `fd ${fd}` : 'not connected');
+		desc.description = `Socket ${endpoint}, ${desc.bytesRead} bytes read, ${desc.bytesWritten} bytes written`;
+		return desc;
+	}
+
+	if (handle instanceof net.Server) {
+		const address = formatAddress(handle.address());
+		return {
+			type: 'Server',
+			description: address ? `Server listening on ${address}` : 'Server not listening',
+			address
+		};
+	}
+
+	if (handle instanceof dgram.Socket) {
+		let address = null;
+		try {
+			address = formatAddress(handle.address());
+		} catch (e) {
+			// the socket is not bound yet
+		}
+		return {
+			type: 'UDP',
+			description: address ? `UDP socket bound to ${address}` : 'UDP socket not bound',
+			address
+		};
+	}
+
+	if (handle instanceof ChildProcess) {
+		const args = Array.isArray(handle.spawnargs) ? handle.spawnargs.slice(1) : [];
+		const command = handle.spawnfile || null;
+		return {
+			type: 'ChildProcess',
+			description: `ChildProcess ${handle.pid}: ` + [ command ].concat(args).map(arg => /\s/.test(arg) ? JSON.stringify(arg) : arg).join(' '),
+			pid: handle.pid,
+			command,
+			args
+		};
+	}
+
+	if (isFSWatcher(handle)) {
+		const path = handle.__path__ || null;
+		return {
+			type: 'FSWatcher',
+			description: `FSWatcher ${path || 'of an unknown path'}`,
+			path
+		};
+	}
+
+	if (isStatWatcher(handle)) {
+		return {
+			type: 'StatWatcher',
+			description: 'StatWatcher'
+		};
+	}
+
+	if (workerThreads && handle instanceof workerThreads.Worker) {
+		return {
+			type: 'Worker',
+			description: `Worker ${handle.threadId}`,
+			threadId: handle.threadId
+		};
+	}
+
+	const type = handle.constructor && handle.constructor.name || 'Object';
+	return {
+		type,
+		description: type
+	};
+};
+
+/**
+ * Takes a snapshot of the active handles so that it can be compared later using `diffHandles()`.
+ * @returns {Object} The active handles grouped by type.
+ */
+module.exports.snapshotHandles = function snapshotHandles() {
+	return module.exports.getActiveHandles();
+};
+
+/**
+ * Determines which handles were opened, but not closed, between two snapshots.
+ * @param {Object} before - The snapshot taken first.
+ * @param {Object} [after] - The snapshot taken last. Defaults to the currently active handles.
+ * @returns {Array.<Object>} The leaked handles, each with the handle `type`, the `handle` itself,
+ * and the source mapped `stack` where it was created.
+ */
+module.exports.diffHandles = function diffHandles(before, after) {
+	if (!before || typeof before !== 'object') {
+		throw new TypeError('Expected before to be a snapshot');
+	}
+	if (after === undefined) {
+		after = module.exports.snapshotHandles();
+	} else if (!after || typeof after !== 'object') {
+		throw new TypeError('Expected after to be a snapshot');
+	}
+
+	const leaks = [];
+	for (const type of Object.keys(after)) {
+		const existing = before[type] || [];
+		for (const handle of after[type]) {
+			// handles such as sockets, servers, and fs watchers remain active until they finish
+			// closing, but their `_handle` is removed as soon as they are closed
+			if (existing.indexOf(handle) === -1 && !(handle && '_handle' in handle && handle._handle === null)) {
+				leaks.push({ type, handle, stack: Array.isArray(handle.__stack__) ? handle.__stack__ : [] });
+			}
+		}
+	}
+	return leaks;
+};
+
+/**
+ * Reports everything keeping the event loop alive. The active handles are grouped by type and
+ * the frame where they were created.
+ * @param {Object} [opts] - Various options.
+ * @param {String} [opts.format='text'] - The format of the report: `text` or `json`.
+ * @returns {String|Object} The human-readable report or, when `format` is `json`, an object
+ * containing the `total` number of handles, the count for each of the `types`, and the `groups`
+ * sorted by count where each group has the handle `type`, `count`, creation `site`, the `stack`
+ * of the first handle, and the `handles` described by `describeHandle()`.
+ */
+module.exports.reportActiveHandles = function reportActiveHandles(opts) {
+	const format = opts && opts.format !== undefined ? opts.format : 'text';
+	if (format !== 'text' && format !== 'json') {
+		throw new TypeError('Expected format to be "text" or "json"');
+	}
+
+	const handles = module.exports.getActiveHandles();
+	const report = { total: 0, types: {}, groups: [] };
+	const groups = {};
+
+	for (const type of Object.keys(handles)) {
+		// unref'd timers and signal handles are active, but they don't keep the event loop alive
+		let active = handles[type];
+		if (type === 'timers' || type === 'immediates') {
+			active = active.filter(isTimerRefed);
+		} else if (type === 'signals') {
+			active = active.filter(signal => typeof signal.hasRef !== 'function' || signal.hasRef());
+		}
+		report.types[type] = active.length;
+		report.total += active.length;
+
+		for (const handle of active) {
+			const stack = Array.isArray(handle.__stack__) ? handle.__stack__.map(String) : [];
+			const key = type + '\n' + (stack[0] || '');
+			if (!groups[key]) {
+				report.groups.push(groups[key] = { type, count: 0, site: stack[0] || null, stack, handles: [] });
+			}
+			groups[key].count++;
+			groups[key].handles.push(module.exports.describeHandle(handle));
+		}
+	}
+
+	report.groups.sort((a, b) => b.count - a.count);
+
+	if (format === 'json') {
+		return report;
+	}
+
+	const lines = [ `${report.total} active handle${report.total === 1 ? '' : 's'} keeping the event loop alive` ];
+	for (const type of Object.keys(report.types)) {
+		if (report.types[type]) {
+			lines.push('', `${type} (${report.types[type]})`);
+			for (const group of report.groups) {
+				if (group.type === type) {
+					if (group.stack.length) {
+						lines.push(`  ${group.count} created at:`);
+						for (const frame of group.stack) {
+							lines.push(`      at ${frame}`);
+						}
+					} else {
+						lines.push(`  ${group.count} created at an unknown location`);
+					}
+
+					// only list the first few handles of groups such as timers created in a loop
+					for (const desc of group.handles.slice(0, 5)) {
+						lines.push(`    - ${desc.description}`);
+					}
+					if (group.handles.length > 5) {
+						lines.push(`    - and ${group.handles.length - 5} more`);
+					}
+				}
+			}
+		}
+	}
+	return lines.join('\n');
+};
+
+/**
+ * Creates a watchdog that reports the active handles if the process has not exited within a
+ * grace period after `done()` is called.
+ * @param {Object} [opts] - Various options.
+ * @param {Number} [opts.timeout=5000] - The number of milliseconds to wait after `done()`.
+ * @param {String|Object} [opts.output=process.stderr] - A file path or writable stream.
+ * @param {String} [opts.format='text'] - The format of the report: `text` or `json`.
+ * @param {Number} [opts.exitCode] - When set, exits the process with this code after reporting.
+ * @param {Promise} [opts.trigger] - A promise that calls `done()` when it settles.
+ * @returns {Watchdog}
+ */
+module.exports.watchForHang = function watchForHang(opts) {
+	return new Watchdog(opts, format => module.exports.reportActiveHandles({ format }));
+};
+
+/**
+ * Marks the boundary between two async segments in a processed stack.
+ */
+class Boundary {
+	/**
+	 * Creates the boundary.
+	 * @param {String} api - The name of the API that created the async segment.
+	 * @param {Error} [trace] - The trace error of the async segment.
+	 */
+	constructor(api, trace) {
+		this.api = api;
+		this.event = trace && trace.__event__ !== undefined ? trace.__event__ : null;
+		this.delay = trace && trace.__delay__ !== undefined ? trace.__delay__ : null;
+		this.id = trace ? trace.__id__ : null;
+		this.depth = trace ? trace.__trace_count__ : null;
+		this.context = trace ? trace.__context__ : undefined;
+		this.metadata = trace ? trace.__metadata__ : undefined;
+	}
+
+	/**
+	 * A short description of the API call that created the async segment such as
+	 * `setTimeout(100ms)` or `emitter.on('data')`.
+	 * @type {String}
+	 */
+	get label() {
+		switch (this.api) {
+			case 'addListener':
+				return `emitter.on('${this.event}')`;
+			case 'catch':
+			case 'then':
+				return `promise.${this.api}()`;
+			case 'fork':
+				return 'child_process.fork()';
+			case 'nextTick':
+				return 'process.nextTick()';
+			case 'Promise':
+				return 'new Promise()';
+			case 'setInterval':
+			case 'setTimeout':
+				return `${this.api}(${this.delay}ms)`;
+			case 'setImmediate':
+				return 'setImmediate()';
+			case 'Worker':
+				return 'new Worker()';
+		}
+		return String(this.api);
+	}
+
+	/**
+	 * Renders the boundary using the `emptyFrame` option.
+	 * @returns {String}
+	 */
+	toString() {
+		const emptyFrame = options.emptyFrame;
+		if (typeof emptyFrame === 'function') {
+			return String(emptyFrame(this));
+		}
+		const metadata = formatMetadata(this.metadata);
+		const rendered = emptyFrame.replace(/\{(api|label|event|delay|id|depth|metadata)\}/g, (match, key) => {
+			const value = key === 'metadata' ? metadata : this[key];
+			return value === null || value === undefined ? '' : String(value);
+		});
+
+		// the metadata is appended when the template doesn't have a placeholder for it
+		return metadata && emptyFrame.indexOf('{metadata}') === -1 ? `${rendered} [${metadata}]` : rendered;
+	}
+}
+
+/**
+ * Formats the metadata returned by the metadata provider. Objects are rendered as `key=value`
+ * pairs.
+ * @param {*} metadata - The metadata.
+ * @returns {String}
+ */
+function formatMetadata(metadata) {
+	if (metadata === null || metadata === undefined) {
+		return '';
+	}
+	if (typeof metadata !== 'object') {
+		return String(metadata);
+	}
+	return Object.keys(metadata)
+		.filter(key => metadata[key] !== undefined)
+		.map(key => `${key}=${metadata[key]}`)
+		.join(' ');
+}
+
+/**
+ * Represents a run of consecutive frames from the same library in a processed stack.
+ */
+class Collapsed {
+	/**
+	 * Creates the collapsed frame.
+	 * @param {String} library - The name of the package or `node` for Node.js internals.
+	 * @param {Number} count - The number of frames collapsed.
+	 */
+	constructor(library, count) {
+		this.library = library;
+		this.count = count;
+	}
+
+	/**
+	 * Renders the collapsed frames.
+	 * @returns {String}
+	 */
+	toString() {
+		return `    ... ${this.count} frames in ${this.library} ...`;
+	}
+}
+
+/**
+ * Represents the number of times an async segment was repeated.
+ */
+class Repeated {
+	/**
+	 * Creates the repeated marker.
+	 * @param {Number} count - The number of times the previous segment was repeated.
+	 */
+	constructor(count) {
+		this.count = count;
+	}
+
+	/**
+	 * Renders the repeat count.
+	 * @returns {String}
+	 */
+	toString() {
+		return `[previous segment repeated ${this.count} time${this.count === 1 ? '' : 's'}]`;
+	}
+}
+
+/**
+ * Determines the name of the library a frame belongs to.
+ * @param {CallSite} frame - The call site.
+ * @returns {String} The package name, `node` for Node.js internals, or `null` for application code.
+ */
+function getLibrary(frame) {
+	const fileName = frame.getFileName();
+	if (!fileName) {
+		return null;
+	}
+
+	const re = /[\\/]node_modules[\\/]((?:@[^\\/]+[\\/])?[^\\/]+)/g;
+	let library = null;
+	let m;
+	while (m = re.exec(fileName)) {
+		library = m[1].replace(/\\/g, '/');
+	}
+	if (library) {
+		return library;
+	}
+
+	return path.isAbsolute(fileName) ? null : 'node';
+}
+
+/**
+ * Collapses consecutive frames from the same library if the `collapseFrames` option is enabled.
+ * @param {Array.<CallSite|Boundary>} frames - The frames to collapse.
+ * @returns {Array.<CallSite|Boundary|Collapsed>}
+ */
+function collapseFrames(frames) {
+	if (!options.collapseFrames) {
+		return frames;
+	}
+
+	const result = [];
+	let run = [];
+	let runLibrary = null;
+
+	const flush = () => {
+		if (run.length > 1) {
+			result.push(new Collapsed(runLibrary, run.length));
+		} else {
+			result.push.apply(result, run);
+		}
+		run = [];
+		runLibrary = null;
+	};
+
+	for (const frame of frames) {
+		const library = frame instanceof Boundary ? null : getLibrary(frame);
+		if (!library || library !== runLibrary) {
+			flush();
+		}
+		if (library) {
+			run.push(frame);
+			runLibrary = library;
+		} else {
+			result.push(frame);
+		}
+	}
+	flush();
+
+	return result;
+}
+
+/**
+ * Filters and collapses the call sites of a single stack based on the options.
+ * @param {Array.<CallSite>} stack - The stack being processed.
+ * @returns {Array.<CallSite|Boundary|Collapsed>}
+ */
+function processFrames(stack) {
+	const frames = [];
+	for (let i = 0, l = stack.length; i < l; i++) {
+		// note: the following line will cause headaches when trying to
+		// debug issues inside double-stack
+		if (stack[i].getFileName() !== __filename) {
+			if (options.filterFrame(stack[i])) {
+				// V8 7.3+ appends the awaiting async functions to the stack, so separate them
+				if (frames.length && typeof stack[i].isAsync === 'function' && stack[i].isAsync()) {
+					frames.push(new Boundary('await'));
+				}
+				frames.push(stack[i]);
+			}
+		} else if (i > 0 && !stack[i-1].getMethodName()) {
+			const methodName = stack[i].getMethodName();
+			Object.defineProperty(stack[i-1], 'getMethodName', { value: function () { return methodName; } });
+		}
+	}
+	return collapseFrames(frames);
+}
+
+/**
+ * Appends the repeat count of a folded trace error. Segments are folded by their callback when
+ * they are created and their stacks are only compared here, so a folded segment whose stack
+ * differs is rendered as its own segment.
+ * @param {Array.<CallSite|Boundary|Collapsed|Repeated>} cache - The processed stack of the trace
+ * error.
+ * @param {Error} traceError - The folded trace error.
+ */
+function appendRepeats(cache, traceError) {
+	let run = traceError;
+	let count = 0;
+	let current = traceError;
+
+	while (current.__folded__ && !current.__folded__.__evicted__) {
+		const previous = current.__folded__;
+		if (isSameStack(run.__stack__, previous.__stack__)) {
+			count++;
+		} else {
+			if (count) {
+				cache.push(new Repeated(count));
+			}
+			cache.push(new Boundary(previous.__api__, previous));
+			cache.push.apply(cache, processFrames(previous.__stack__));
+			run = previous;
+			count = 0;
+		}
+		current = previous;
+	}
+
+	// the segments no longer retained are assumed to be the same as the last one compared
+	count += current.__repeats__;
+	if (count) {
+		cache.push(new Repeated(count));
+	}
+}
+
+/**
+ * Caches the stack's call sites, then returns concatenates them with each parent's cached stack
+ * call sites separated by a `Boundary`. Frames are filtered and collapsed based on the options.
+ * @param {Error} error - The error object.
+ * @param {Array.<CallSite>} stack - The stack being processed.
+ * @param {Boolean} [recursing] - Set to `true` when walking parent scopes. This value should never
+ * be passed in.
+ * @returns {Array.<CallSite|Boundary|Collapsed>}
+ */
+function processStackTrace(error, stack, recursing) {
+	let cache = error.__cached_trace__;
+
+	if (!cache) {
+		cache = processFrames(stack);
+		if (error.__repeats__) {
+			appendRepeats(cache, error);
+		}
+		Object.defineProperty(error, '__cached_trace__', { configurable: true, value: cache });
+
+		if (!error.__parent__ && !recursing) {
+			Object.defineProperty(error, '__parent__', { value: currentTraceError });
+		}
+
+		if (error.__parent__ && !error.__parent__.__evicted__) {
+			const parent = processStackTrace(error.__parent__, error.__parent__.__stack__, true);
+			if (parent && parent.length) {
+				cache.push(new Boundary(error.__parent__.__api__, error.__parent__));
+				cache.push.apply(cache, parent);
+			}
+		}
+
+		// the stack continues into the process or thread that created this one
+		if (!recursing && parentProcessTrace) {
+			cache.push.apply(cache, parentProcessTrace);
+		}
+	}
+
+	return cache;
+}
+
+/**
+ * Constructs the stack trace and renders it to a string.
+ * @param {Error} error - The error object.
+ * @param {Array.<CallSite>} stack - The stack being processed.
+ * @returns {String}
+ */
+function prepareStackTrace(error, stack) {
+	// first get the entire stack including parent scopes
+	const combined = processStackTrace(error, stack);
+	const rendered = renderStackTrace(error, combined);
+
+	if (!options.renderCauses || renderingErrors.indexOf(error) !== -1) {
+		return rendered;
+	}
+
+	renderingErrors.push(error);
+	try {
+		return rendered + renderNestedErrors(error, [ getBoundaryIds(combined) ]);
+	} finally {
+		renderingErrors.pop();
+	}
+}
+
+/**
+ * Renders processed stack frames using the original `Error.prepareStackTrace()` and inserts the
+ * boundaries, collapsed frames, and repeat counts.
+ * @param {Error} error - The error object.
+ * @param {Array.<CallSite|Boundary|Collapsed|Repeated>} combined - The processed stack.
+ * @returns {String}
+ */
+function renderStackTrace(error, combined) {
+	// separate the call sites from the boundaries, collapsed frames, and repeat counts and
+	// remember where they go
+	const frames = [];
+	const separators = [];
+	for (let i = 0; i < combined.length; i++) {
+		if (combined[i] instanceof Boundary || combined[i] instanceof Collapsed || combined[i] instanceof Repeated) {
+			separators.push({ index: i, line: combined[i].toString() });
+		} else {
+			frames.push(combined[i]);
+		}
+	}
+
+	// call the origin prepareStackTrace()
+	const rendered = origPrepareStackTrace(error, frames);
+
+	// insert the seperators back into the stack trace
+	const lines = rendered.split('\n');
+	for (const separator of separators) {
+		lines.splice(separator.index + 1, 0, separator.line);
+	}
+	return lines.join('\n');
+}
+
+/**
+ * Returns the ids of the async segments in a processed stack.
+ * @param {Array.<CallSite|Boundary|Collapsed|Repeated>} combined - The processed stack.
+ * @returns {Array.<Number>}
+ */
+function getBoundaryIds(combined) {
+	return combined.filter(frame => frame instanceof Boundary && frame.id !== null && frame.id !== undefined).map(frame => frame.id);
+}
+
+/**
+ * Renders the errors aggregated by an `AggregateError` and the error's `cause`, each with its own
+ * long stack trace, indented below the error.
+ * @param {Error} error - The error object.
+ * @param {Array.<Array.<Number>>} ancestorIds - The ids of the async segments already rendered by
+ * the error and the errors it is nested in.
+ * @returns {String}
+ */
+function renderNestedErrors(error, ancestorIds) {
+	const nested = [];
+	if (typeof global.AggregateError === 'function' && error instanceof global.AggregateError && Array.isArray(error.errors)) {
+		error.errors.forEach((err, i) => nested.push({ label: `[errors[${i}]]`, value: err }));
+	}
+	if (error.cause !== undefined) {
+		nested.push({ label: '[cause]', value: error.cause });
+	}
+
+	let output = '';
+
+	for (const entry of nested) {
+		const value = entry.value;
+		let rendered;
+
+		if (renderingErrors.indexOf(value) !== -1) {
+			rendered = '[Circular]';
+		} else if (value instanceof Error) {
+			// V8 does not call `prepareStackTrace()` while it is already formatting a stack trace, so
+			// process the frames of a nested error whose stack has not been read and replace the
+			// stack V8 formatted without us
+			let cache = value.__cached_trace__;
+			if (!cache) {
+				cache = processStackTrace(value, materializeStack(value));
+				value.stack = renderStackTrace(value, cache);
+			}
+			const shared = trimSharedSegments(cache, ancestorIds);
+			rendered = renderStackTrace(value, shared.frames);
+			if (shared.count) {
+				rendered += `\n    ... ${shared.count} frames shared with the error above ...`;
+			}
+			renderingErrors.push(value);
+			try {
+				rendered += renderNestedErrors(value, ancestorIds.concat([ getBoundaryIds(shared.frames) ]));
+			} finally {
+				renderingErrors.pop();
+			}
+		} else {
+			rendered = util.inspect(value);
+		}
+
+		output += `\n  ${entry.label}: ` + rendered.split('\n').join('\n  ');
+	}
+
+	return output;
+}
+
+/**
+ * Removes the async segments of a nested error's processed stack starting with the first segment
+ * that was already rendered by an enclosing error.
+ * @param {Array.<CallSite|Boundary|Collapsed|Repeated>} combined - The nested error's processed
+ * stack.
+ * @param {Array.<Array.<Number>>} ancestorIds - The ids of the async segments already rendered.
+ * @returns {Object} The remaining `frames` and the `count` of frames removed.
+ */
+function trimSharedSegments(combined, ancestorIds) {
+	const idx = combined.findIndex(frame => frame instanceof Boundary && ancestorIds.some(ids => ids.indexOf(frame.id) !== -1));
+	if (idx === -1) {
+		return { frames: combined, count: 0 };
+	}
+
+	let count = 0;
+	for (let i = idx; i < combined.length; i++) {
+		if (combined[i] instanceof Collapsed) {
+			count += combined[i].count;
+		} else if (!(combined[i] instanceof Boundary) && !(combined[i] instanceof Repeated)) {
+			count++;
+		}
+	}
+	return { frames: combined.slice(0, idx), count };
+}
+
+/**
+ * Returns the long stack trace for the specified error as a list of async segments. The first
+ * segment is the error's own stack.
+ * @param {Error} error - The error object.
+ * @returns {Array.<Object>} Each segment contains the `api` that created it such as `setTimeout`
+ * or `then`, a descriptive `label`, the listener `event`, the timer `delay`, the trace `id`, the
+ * `depth`, the `context`, the `metadata`, the number of `repeats`, and the source mapped `frames`.
+ */
+module.exports.getLongStack = function getLongStack(error) {
+	if (!(error instanceof Error)) {
+		throw new TypeError('Expected error to be an Error object');
+	}
+
+	// errors rebuilt by `fromJSON()` have no call sites
+	if (error.__long_stack__) {
+		return error.__long_stack__;
+	}
+
+	error.stack; // force Error.prepareStackTrace() call
+	const cache = error.__cached_trace__;
+	if (!cache) {
+		return [];
+	}
+
+	let segment = { api: null, label: null, event: null, delay: null, id: null, depth: null, context: undefined, metadata: undefined, repeats: 0, frames: [] };
+	const segments = [ segment ];
+
+	for (const frame of cache) {
+		if (frame instanceof Boundary) {
+			segment = { api: frame.api, label: frame.label, event: frame.event, delay: frame.delay, id: frame.id, depth: frame.depth, context: frame.context, metadata: frame.metadata, repeats: 0, frames: [] };
+			segments.push(segment);
+		} else if (frame instanceof Repeated) {
+			segment.repeats = frame.count;
+		} else {
+			segment.frames.push(toFrame(frame));
+		}
+	}
+
+	return segments;
+};
+
+/**
+ * Serializes an error including its long stack trace and cause chain into a plain object that
+ * can be converted to JSON and rebuilt using `fromJSON()` in another process.
+ * @param {Error} error - The error object.
+ * @returns {Object} The serialized error containing the schema `version`, the error `name`,
+ * `message`, rendered `stack`, the `segments` returned by `getLongStack()` without the
+ * `context`, the `cause`, and the `errors` aggregated by an `AggregateError`.
+ */
+module.exports.toJSON = function toJSON(error) {
+	if (!(error instanceof Error)) {
+		throw new TypeError('Expected error to be an Error object');
+	}
+	return Object.assign({ version: JSON_VERSION }, serializeError(error, []));
+};
+
+/**
+ * Serializes an error and its causes.
+ * @param {Error} error - The error object.
+ * @param {Array.<Error>} seen - The errors already serialized to guard against circular causes.
+ * @returns {Object}
+ */
+function serializeError(error, seen) {
+	seen.push(error);
+
+	const json = {
+		name: error.name,
+		message: error.message,
+		stack: String(error.stack),
+		segments: serializeSegments(module.exports.getLongStack(error))
+	};
+
+	if (typeof global.AggregateError === 'function' && error instanceof global.AggregateError && Array.isArray(error.errors)) {
+		json.errors = error.errors.map(err => serializeNested(err, seen));
+	}
+
+	if (error.cause !== undefined) {
+		json.cause = serializeNested(error.cause, seen);
+	}
+
+	return json;
+}
+
+/**
+ * Serializes an error's cause or one of the errors aggregated by an `AggregateError`.
+ * @param {*} value - The nested value.
+ * @param {Array.<Error>} seen - The errors already serialized to guard against circular causes.
+ * @returns {Object} The serialized error, `{ circular: true }`, or the `value` if it is not an
+ * error.
+ */
+function serializeNested(value, seen) {
+	if (value instanceof Error) {
+		return seen.indexOf(value) === -1 ? serializeError(value, seen) : { circular: true };
+	}
+	return { value };
+}
+
+/**
+ * Converts the segments returned by `getLongStack()` into plain objects without the `context`.
+ * @param {Array.<Object>} segments - The segments.
+ * @returns {Array.<Object>}
+ */
+function serializeSegments(segments) {
+	return segments.map(segment => ({
+		api:      segment.api,
+		label:    segment.label,
+		event:    segment.event,
+		delay:    segment.delay,
+		id:       segment.id,
+		depth:    segment.depth,
+		metadata: segment.metadata,
+		repeats:  segment.repeats,
+		frames:   segment.frames.map(frame => {
+			// keep the rendered frame since V8 names some frames that have no function name
+			const obj = { rendered: frame.toString() };
+			for (const key of Object.keys(frame)) {
+				if (key !== 'toString') {
+					obj[key] = frame[key];
+				}
+			}
+			return obj;
+		})
+	}));
+}
+
+/**
+ * Rebuilds an error serialized by `toJSON()`. The error's `stack` renders the same as the
+ * original error's and `getLongStack()` returns the serialized segments.
+ * @param {Object} json - The serialized error.
+ * @returns {Error}
+ */
+module.exports.fromJSON = function fromJSON(json) {
+	if (!json || typeof json !== 'object') {
+		throw new TypeError('Expected json to be a serialized error');
+	}
+	if (json.version !== JSON_VERSION) {
+		throw new TypeError(`Expected version to be ${JSON_VERSION}`);
+	}
+	return deserializeError(json);
+};
+
+/**
+ * Rebuilds an error and its causes.
+ * @param {Object} json - The serialized error.
+ * @returns {Error}
+ */
+function deserializeError(json) {
+	if (!isSerializedError(json)) {
+		throw new TypeError('Expected json to be a serialized error');
+	}
+
+	// use the built-in error type if possible so that `instanceof` still works
+	const ErrorType = typeof global[json.name] === 'function' && global[json.name].prototype instanceof Error ? global[json.name] : Error;
+	let error;
+	if (typeof global.AggregateError === 'function' && (ErrorType === global.AggregateError || ErrorType.prototype instanceof global.AggregateError)) {
+		error = new ErrorType((json.errors || []).filter(err => !err.circular).map(deserializeNested), json.message);
+	} else {
+		error = new ErrorType(json.message);
+	}
+	if (error.name !== json.name) {
+		error.name = json.name;
+	}
+	error.stack = json.stack;
+
+	Object.defineProperty(error, '__long_stack__', {
+		value: (json.segments || []).map(segment => Object.assign({}, segment, {
+			context: undefined,
+			frames: segment.frames.map(frame => {
+				let rendered = frame.rendered;
+				if (typeof rendered !== 'string') {
+					rendered = frame.library !== undefined ? String(new Collapsed(frame.library, frame.count)).trim() : String(new CallSite(frame));
+				}
+				return Object.assign({}, frame, { toString: () => rendered });
+			})
+		}))
+	});
+
+	if (json.cause && !json.cause.circular) {
+		Object.defineProperty(error, 'cause', {
+			configurable: true,
+			writable: true,
+			value: deserializeNested(json.cause)
+		});
+	}
+
+	return error;
+}
+
+/**
+ * Rebuilds an error's cause or one of the errors aggregated by an `AggregateError`.
+ * @param {Object} json - The serialized nested value.
+ * @returns {*}
+ */
+function deserializeNested(json) {
+	return 'value' in json ? json.value : deserializeError(json);
+}
+
+/**
+ * Checks that an object has the shape of an error serialized by `toJSON()` so that a malformed
+ * object is not partially rebuilt.
+ * @param {*} json - The serialized error.
+ * @returns {Boolean}
+ */
+function isSerializedError(json) {
+	const isObject = value => !!value && typeof value === 'object';
+	const isNested = value => isObject(value) && (value.circular === true || 'value' in value || isSerializedError(value));
+
+	return isObject(json)
+		&& typeof json.name === 'string'
+		&& typeof json.message === 'string'
+		&& typeof json.stack === 'string'
+		&& (json.segments === undefined || (Array.isArray(json.segments) && json.segments.every(segment => {
+			return isObject(segment) && Array.isArray(segment.frames) && segment.frames.every(isObject);
+		})))
+		&& (json.errors === undefined || (Array.isArray(json.errors) && json.errors.every(isNested)))
+		&& (json.cause === undefined || isNested(json.cause));
+}
+
+/**
+ * Renders an unhandled promise rejection with the reason's long stack, the stack where the
+ * rejected promise was created, and, when the promise was returned by `.then()` or `.catch()`,
+ * the stack where the orphaned handler was attached.
+ * @param {*} reason - The rejection reason.
+ * @param {Promise} promise - The rejected promise.
+ * @returns {String}
+ */
+module.exports.formatUnhandledRejection = function formatUnhandledRejection(reason, promise) {
+	const lines = [ 'Unhandled promise rejection: ' + (reason instanceof Error ? reason.stack : util.inspect(reason)) ];
+	const origin = promise && promise.__origin__;
+
+	const addStack = (title, stack) => {
+		// skip built-in frames such as `Promise.catch` where the stack was captured
+		stack = Array.isArray(stack) ? stack.slice() : [];
+		while (stack.length && !stack[0].fileName && stack[0].library === undefined) {
+			stack.shift();
+		}
+
+		lines.push('');
+		if (stack.length) {
+			lines.push(`${title} at:`);
+			for (const frame of stack) {
+				lines.push(`    at ${frame}`);
+			}
+		} else {
+			lines.push(`${title} at an unknown location`);
+		}
+	};
+
+	if (origin) {
+		addStack('Promise created', origin.promise.__stack__);
+		addStack(`.${origin.api}() attached`, promise.__stack__);
+	} else {
+		addStack('Promise created', promise && promise.__stack__);
+	}
+
+	return lines.join('\n');
+};
+
+/**
+ * Writes unhandled promise rejections to stderr. Since the listener replaces Node's default
+ * behavior, the exit code is set like `--unhandled-rejections=warn-with-error-code`.
+ * @param {*} reason - The rejection reason.
+ * @param {Promise} promise - The rejected promise.
+ */
+function onUnhandledRejection(reason, promise) {
+	process.stderr.write(module.exports.formatUnhandledRejection(reason, promise) + '\n');
+	process.exitCode = 1;
+}
+
+/**
+ * Adds or removes the `unhandledRejection` listener. The original `EventEmitter` methods are used
+ * so that the listener is never wrapped.
+ * @param {Boolean} enabled - When true, the listener is added.
+ */
+function updateRejectionListener(enabled) {
+	origRemoveListener.call(process, 'unhandledRejection', onUnhandledRejection);
+	if (enabled) {
+		origAddListener.call(process, 'unhandledRejection', onUnhandledRejection);
+	}
+}
+
+/**
+ * Determines if a new trace should be captured. Once a trace has been captured, all of its
+ * descendants are captured so that sampled chains are never broken.
+ * @returns {Boolean}
+ */
+function shouldTrace() {
+	if (currentTraceError || alwaysTraceDepth || currentContext !== undefined) {
+		return true;
+	}
+
+	if (options.sampleInterval > 1 && ++sampleCounter % options.sampleInterval !== 0) {
+		return false;
+	}
+
+	if (options.sampleBudget > 0) {
+		const now = Date.now();
+		if (now - sampleWindowStart >= 1000) {
+			sampleWindowStart = now;
+			sampleWindowCount = 0;
+		}
+		if (sampleWindowCount >= options.sampleBudget) {
+			return false;
+		}
+		sampleWindowCount++;
+	}
+
+	return true;
+}
+
+/**
+ * Runs the specified function and captures traces for everything it schedules regardless of
+ * the sampling options.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The value returned by the function.
+ */
+module.exports.alwaysTrace = function alwaysTrace(fn) {
+	if (typeof fn !== 'function') {
+		throw new TypeError('Expected fn to be a function');
+	}
+
+	alwaysTraceDepth++;
+	try {
+		return fn();
+	} finally {
+		alwaysTraceDepth--;
+	}
+};
+
+/**
+ * Runs the specified function with a context such as a request id that is propagated to
+ * everything it schedules through the instrumented APIs and can be read back using
+ * `getContext()`. Code running with a context is always traced regardless of the sampling
+ * options.
+ * @param {*} context - The context. Pass `undefined` to run without a context.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The value returned by the function.
+ */
+module.exports.runWithContext = function runWithContext(context, fn) {
+	if (typeof fn !== 'function') {
+		throw new TypeError('Expected fn to be a function');
+	}
+
+	if (context !== undefined && !contextUsed) {
+		contextUsed = true;
+		updatePromiseHook();
+	}
+
+	const parentContext = currentContext;
+	currentContext = context;
+	try {
+		return fn();
+	} finally {
+		currentContext = parentContext;
+	}
+};
+
+/**
+ * Returns the context passed to `runWithContext()` by the code that scheduled the current async
+ * flow.
+ * @returns {*} The context or `undefined` if there is none.
+ */
+module.exports.getContext = function getContext() {
+	return currentContext;
+};
+
+/**
+ * Returns the number of trace records and call site frames that are currently retained. Traces
+ * whose call sites have not been materialized count as `Error.stackTraceLimit` frames, or 10
+ * when the limit is not finite.
+ * @returns {Object} Contains the number of retained `records` and `frames`, the total number of
+ * traces `created` and `evicted` since installing, and the `maxRetainedFrames` budget. When
+ * there is no budget, `records` and `frames` are `null`.
+ */
+module.exports.getTraceStats = function getTraceStats() {
+	const stats = traceStore.stats(options.maxRetainedFrames);
+	stats.maxRetainedFrames = options.maxRetainedFrames;
+	return stats;
+};
+
+/**
+ * Determines if two stacks have the same call sites.
+ * @param {Array.<CallSite>} a - The first stack.
+ * @param {Array.<CallSite>} b - The second stack.
+ * @returns {Boolean}
+ */
+function isSameStack(a, b) {
+	if (a.length !== b.length) {
+		return false;
+	}
+	for (let i = 0; i < a.length; i++) {
+		if (a[i].getLineNumber() !== b[i].getLineNumber()
+			|| a[i].getColumnNumber() !== b[i].getColumnNumber()
+			|| a[i].getFileName() !== b[i].getFileName()) {
+			return false;
+		}
+	}
+	return true;
+}
 
 /**
- * Initialize the options.
+ * Materializes the call sites captured when the trace error was created.
+ * @param {Error} traceError - The trace error.
+ * @param {Boolean} trimInternal - When true, removes the Node.js internal frames from the top of
+ * the stack.
+ * @returns {Array.<CallSite>}
  */
-const options = module.exports.options = new Options;
+function materializeStack(traceError, trimInternal) {
+	const orig = Error.prepareStackTrace;
+	Error.prepareStackTrace = (error, stack) => stack;
+	let stack = traceError.stack;
+	Error.prepareStackTrace = orig;
+
+	if (typeof stack === 'string') {
+		// V8 does not call `prepareStackTrace()` while it is already formatting a stack trace, so
+		// when we are materialized from within `prepareStackTrace()` we must parse the frames
+		stack = stack.split('\n').map(line => CallSite.parse(line)).filter(Boolean);
+	} else if (!Array.isArray(stack)) {
+		return [];
+	}
+
+	if (trimInternal) {
+		let i = 0;
+		while (i < stack.length) {
+			const fileName = stack[i].getFileName() || '';
+			if (fileName !== __filename && path.isAbsolute(fileName)) {
+				break;
+			}
+			i++;
+		}
+		if (i < stack.length) {
+			stack = stack.slice(i);
+		}
+	}
+
+	return stack;
+}
 
 /**
- * Returns an object with active socket, server, timer, and other handles.
- * @returns {Object}
+ * Captures the current stack and links it to the current trace error which becomes the parent.
+ * V8 records the stack when the error is created, but the call sites are not materialized until
+ * `__stack__` is first read.
+ * @param {String} api - The name of the API that is creating the async segment.
+ * @param {Boolean} [trimInternal=false] - When true, removes the Node.js internal frames from the
+ * top of the stack such as the async hooks and timer constructor frames.
+ * @param {*} [foldKey] - When the parent trace has the same key, such as the same callback, the
+ * segments are folded together.
+ * @returns {Error}
  */
-module.exports.getActiveHandles = function getActiveHandles() {
-	const handles = { sockets: [], servers: [], timers: [], childProcesses: [], fsWatchers: [], other: [] };
+function createTraceError(api, trimInternal, foldKey) {
+	const traceError = new Error();
 
-	for (let handle of process._getActiveHandles()) {
-		if (handle instanceof Timer) {
-			const timerList = handle._list || handle;
-			let t = timerList._idleNext;
-			while (t !== timerList) {
-				handles.timers.push(t);
-				t = t._idleNext;
+	let stack = null;
+	Object.defineProperty(traceError, '__stack__', {
+		configurable: true,
+		get: () => {
+			if (!stack) {
+				stack = materializeStack(traceError, trimInternal);
+				traceStore.materialized(traceError, stack.length, options.maxRetainedFrames);
 			}
-		} else if (handle instanceof net.Socket) {
-			handles.sockets.push(handle);
-		} else if (handle instanceof net.Server) {
-			handles.servers.push(handle);
-		} else if (handle instanceof ChildProcess) {
-			handles.childProcesses.push(handle);
-		} else if (handle instanceof EventEmitter && typeof handle.start === 'function' && typeof handle.close === 'function' && handle._handle instanceof FSEvent) {
-			handles.fsWatchers.push(handle);
-		} else {
-			handles.other.push(handle);
+			return stack;
+		}
+	});
+
+	// fold consecutive segments scheduled by the same callback, such as a polling loop, into a
+	// single segment so that the trace limit is spent on distinct history; comparing the stacks
+	// here would materialize them, so the folded segment is kept and compared when rendered. The
+	// first call of a loop is scheduled from elsewhere, so it is never folded.
+	let parent = currentTraceError;
+	let folded;
+	let repeats = 0;
+	const looping = !!parent && foldKey !== undefined && parent.__fold_key__ === foldKey && parent.__api__ === api;
+	if (looping && parent.__looping__) {
+		folded = parent;
+		repeats = parent.__repeats__ + 1;
+		parent = parent.__parent__ || null;
+	}
+
+	// the provider may schedule async work of its own, so don't call it recursively
+	let metadata;
+	if (options.metadata && !inMetadataProvider) {
+		inMetadataProvider = true;
+		try {
+			metadata = options.metadata(api);
+		} catch (e) {
+			// a failing provider must not break the async call being traced
+		} finally {
+			inMetadataProvider = false;
 		}
 	}
 
-	return handles;
-};
+	Object.defineProperties(traceError, {
+		__api__:         { value: api },
+		__context__:     { value: currentContext },
+		__metadata__:    { value: metadata },
+		__fold_key__:    { value: foldKey },
+		__folded__:      { configurable: true, value: folded },
+		__looping__:     { value: looping },
+		__id__:          { value: ERROR_ID++ },
+		__parent__:      { configurable: true, value: parent },
+		__repeats__:     { value: repeats },
+		__trace_count__: { value: parent ? parent.__trace_count__ + 1 : 1 }
+	});
+
+	// limit the stack
+	if (options.asyncTraceLimit > 0) {
+		let count = options.asyncTraceLimit - 1;
+		let previous = traceError;
+		while (previous && count > 1) {
+			previous = previous.__parent__;
+			--count;
+		}
+		if (previous) {
+			delete previous.__parent__;
+		}
+
+		// only the most recent folded segments are compared
+		count = options.asyncTraceLimit;
+		previous = traceError;
+		while (previous.__folded__ && --count > 0) {
+			previous = previous.__folded__;
+		}
+		if (previous.__folded__) {
+			delete previous.__folded__;
+		}
+	}
+
+	traceStore.add(traceError, options.maxRetainedFrames);
+
+	return traceError;
+}
 
 /**
- * Caches the stack's call sites, then returns concatenates them with each parent's cached stack
- * call sites.
- * @param {Error} error - The error object.
- * @param {Array.<CallSite>} stack - The stack being processed.
- * @param {Boolean} [recursing] - Set to `true` when walking parent scopes. This value should never
- * be passed in.
- * @returns {Array.<CallSite>}
+ * Releases the call sites, rendered frames, and parent retained by an evicted trace error.
+ * Descendants stop rendering the history at the evicted trace.
+ * @param {Error} traceError - The trace error to release.
  */
-function processStackTrace(error, stack, recursing) {
-	let cache = error.__cached_trace__;
+function releaseTrace(traceError) {
+	Object.defineProperties(traceError, {
+		__evicted__: { value: true },
+		__stack__:   { value: [] }
+	});
+	delete traceError.__cached_trace__;
+	delete traceError.__folded__;
+	delete traceError.__parent__;
 
-	if (!cache) {
-		cache = [];
-		Object.defineProperty(error, '__cached_trace__', { value: cache });
+	// drop the raw stack V8 captured when the trace error was created
+	traceError.stack = '';
+}
+
+/**
+ * Converts a call site into a plain, source mapped frame object. Collapsed frames are converted
+ * into an object with the `library` name and frame `count`.
+ * @param {CallSite|Collapsed} frame - The call site to convert.
+ * @returns {Object}
+ */
+function toFrame(frame) {
+	if (frame instanceof Collapsed) {
+		const rendered = frame.toString().trim();
+		return {
+			library:  frame.library,
+			count:    frame.count,
+			toString: () => rendered
+		};
+	}
+
+	frame = sourceMap.wrapCallSite(frame);
+	const rendered = frame.toString();
+	const scriptName = frame.getScriptNameOrSourceURL();
+	return {
+		fileName:      frame.getFileName(),
+		scriptName:    scriptName,
+		// newer versions of V8 no longer return the script name for frames outside of an eval
+		evalOrigin:    frame.getEvalOrigin() || scriptName,
+		typeName:      frame.getTypeName(),
+		functionName:  frame.getFunctionName(),
+		methodName:    frame.getMethodName(),
+		lineNumber:    frame.getLineNumber(),
+		columnNumber:  frame.getColumnNumber(),
+		isToplevel:    frame.isToplevel(),
+		isEval:        frame.isEval(),
+		isNative:      frame.isNative(),
+		isConstructor: frame.isConstructor(),
+		toString:      () => rendered
+	};
+}
+
+/**
+ * Embeds a simplified, source mapped copy of the trace error's stack into the specified handle.
+ * The stack is not materialized until `__stack__` is first read.
+ * @param {Object} handle - The handle such as a timer or promise.
+ * @param {Error|Object} traceError - The trace error or an object containing the `__stack__` to
+ * embed.
+ */
+function embedStack(handle, traceError) {
+	if (Object.prototype.hasOwnProperty.call(handle, '__stack__')) {
+		return;
+	}
 
-		for (let i = 0, l = stack.length; i < l; i++) {
-			// note: the following line will cause headaches when trying to
-			// debug issues inside double-stack
-			if (stack[i].getFileName() !== __filename) {
-				cache.push(stack[i]);
-			} else if (i > 0 && !stack[i-1].getMethodName()) {
-				const methodName = stack[i].getMethodName();
-				Object.defineProperty(stack[i-1], 'getMethodName', { value: function () { return methodName; } });
+	let embeddedStack = null;
+	Object.defineProperty(handle, '__stack__', {
+		get: () => {
+			if (!embeddedStack) {
+				const frames = traceError.__stack__.filter(frame => frame.getFileName() !== __filename && options.filterFrame(frame));
+				embeddedStack = collapseFrames(frames).map(toFrame);
 			}
+			return embeddedStack;
 		}
+	});
+}
 
-		if (!error.__parent__ && !recursing) {
-			Object.defineProperty(error, '__parent__', { value: currentTraceError });
+/**
+ * Wraps a function that creates a handle such as a server, socket, or child process so that the
+ * handle has the stack where it was created. Unlike `wrap()`, no async trace is captured.
+ * @param {String} api - The name of the instrumented API used to check if it is enabled.
+ * @param {Function} originalFunction - The original function being wrapped.
+ * @param {Function} getHandle - A function that is passed the `this` context, the return value,
+ * and the arguments of the original function and returns the handle.
+ * @returns {Function}
+ */
+function wrapHandleCreator(api, originalFunction, getHandle) {
+	return function () {
+		if (!options.isApiEnabled(api)) {
+			return originalFunction.apply(this, arguments);
 		}
 
-		if (error.__parent__) {
-			const parent = processStackTrace(error.__parent__, error.__parent__.__stack__, true);
-			if (parent && parent.length) {
-				cache.push(null);
-				cache.push.apply(cache, parent);
+		const error = new Error();
+		const result = originalFunction.apply(this, arguments);
+		const handle = getHandle(this, result, arguments);
+
+		if (handle && typeof handle === 'object') {
+			embedCreationStack(handle, error);
+		}
+
+		return result;
+	};
+}
+
+/**
+ * Embeds the stack captured by the specified error into a handle without materializing it.
+ * @param {Object} handle - The handle.
+ * @param {Error} error - An error created where the handle was created.
+ */
+function embedCreationStack(handle, error) {
+	let stack = null;
+	embedStack(handle, {
+		get __stack__() {
+			return stack || (stack = materializeStack(error, true));
+		}
+	});
+}
+
+/**
+ * Wraps the `Worker` class to track the active worker threads and embed the stack where they were
+ * created.
+ * @param {Function} Worker - The original `Worker` class.
+ * @returns {Proxy}
+ */
+function wrapWorker(Worker) {
+	return new Proxy(Worker, {
+		construct(target, args, newTarget) {
+			const error = new Error();
+			let worker;
+
+			if (options.propagateTraces && options.isApiEnabled('Worker')) {
+				const trace = serializeParentTrace('Worker', error);
+				const workerOpts = args[1];
+				if (workerOpts && workerOpts.env && typeof workerOpts.env === 'object') {
+					const env = Object.assign({}, workerOpts.env, { [PARENT_TRACE_ENV]: trace });
+					worker = Reflect.construct(target, [ args[0], Object.assign({}, workerOpts, { env }) ].concat(args.slice(2)), newTarget);
+				} else if (!workerOpts || workerOpts.env === undefined) {
+					// the worker gets a copy of the environment when it is created
+					const previous = process.env[PARENT_TRACE_ENV];
+					process.env[PARENT_TRACE_ENV] = trace;
+					try {
+						worker = Reflect.construct(target, args, newTarget);
+					} finally {
+						if (previous === undefined) {
+							delete process.env[PARENT_TRACE_ENV];
+						} else {
+							process.env[PARENT_TRACE_ENV] = previous;
+						}
+					}
+				}
+			}
+
+			// the environment is shared with the worker or propagation is disabled
+			if (!worker) {
+				worker = Reflect.construct(target, args, newTarget);
+			}
+
+			if (options.isApiEnabled('Worker')) {
+				embedCreationStack(worker, error);
 			}
+
+			// track whether the worker is keeping the event loop alive
+			const ref = worker.ref;
+			const unref = worker.unref;
+			worker.ref = function () {
+				if (activeWorkers.has(worker)) {
+					activeWorkers.set(worker, true);
+				}
+				return ref.apply(this, arguments);
+			};
+			worker.unref = function () {
+				if (activeWorkers.has(worker)) {
+					activeWorkers.set(worker, false);
+				}
+				return unref.apply(this, arguments);
+			};
+			activeWorkers.set(worker, true);
+			worker.once('exit', () => activeWorkers.delete(worker));
+
+			return worker;
 		}
-	}
+	});
+}
 
-	return cache;
+/**
+ * Wraps `child_process.fork()` to pass the stack where the child process was forked to the child
+ * when the `propagateTraces` option is enabled.
+ * @param {Function} fork - The original `fork()` function.
+ * @returns {Function}
+ */
+function wrapFork(fork) {
+	return function () {
+		if (!options.propagateTraces || !options.isApiEnabled('childProcess')) {
+			return fork.apply(this, arguments);
+		}
+
+		const args = Array.prototype.slice.call(arguments);
+
+		// the args are optional
+		const optsIndex = Array.isArray(args[1]) || ((args[1] === undefined || args[1] === null) && args.length > 2) ? 2 : 1;
+		const forkOpts = Object.assign({}, args[optsIndex]);
+		forkOpts.env = Object.assign({}, forkOpts.env || process.env, { [PARENT_TRACE_ENV]: serializeParentTrace('fork', new Error()) });
+		args[optsIndex] = forkOpts;
+
+		const child = fork.apply(this, args);
+
+		// rebuild the uncaught exceptions sent by a child that installed double-stack
+		child.on('message', msg => {
+			if (msg && typeof msg === 'object' && msg[FORK_ERROR_MESSAGE]) {
+				let error;
+				try {
+					error = module.exports.fromJSON(msg[FORK_ERROR_MESSAGE]);
+				} catch (e) {
+					return;
+				}
+				child.emit('uncaughtException', error);
+			}
+		});
+
+		return child;
+	};
 }
 
 /**
- * Constructs the stack trace and renders it to a string.
- * @param {Error} error - The error object.
- * @param {Array.<CallSite>} stack - The stack being processed.
+ * Serializes the long stack trace of an error created where a child process or worker thread is
+ * being created so that it can be passed to the child in an environment variable.
+ * @param {String} api - The name of the API creating the child.
+ * @param {Error} error - An error created where the child is being created.
  * @returns {String}
  */
-function prepareStackTrace(error, stack) {
-	// first get the entire stack including parent scopes
-	const combined = processStackTrace(error, stack);
+function serializeParentTrace(api, error) {
+	const segments = serializeSegments(module.exports.getLongStack(error));
 
-	// remove all separators and remember where they go
-	const separators = [];
-	for (let i = combined.length - 1; i >= 0; i--) {
-		if (combined[i] === null) {
-			separators.unshift(i);
-			combined.splice(i, 1);
+	// environment variables are limited in size, so drop the oldest frames until it fits
+	let json = JSON.stringify({ version: JSON_VERSION, api, segments });
+	while (json.length > MAX_PARENT_TRACE_LENGTH) {
+		const oldest = segments[segments.length - 1];
+		if (segments.length > 1) {
+			segments.pop();
+		} else if (oldest && oldest.frames.length) {
+			oldest.frames.pop();
+		} else {
+			break;
 		}
+		json = JSON.stringify({ version: JSON_VERSION, api, segments });
 	}
+	return json;
+}
 
-	// call the origin prepareStackTrace()
-	const rendered = origPrepareStackTrace(error, combined);
+/**
+ * Loads the trace passed in by the parent process or thread, if any, and converts it into the
+ * frames and boundaries appended to every long stack trace. A forked child also sends its
+ * uncaught exceptions to the parent.
+ */
+function loadParentTrace() {
+	if (parentTraceJson === undefined) {
+		parentTraceJson = process.env[PARENT_TRACE_ENV] || null;
 
-	// insert the seperators back into the stack trace
-	const lines = rendered.split('\n');
-	for (const i of separators) {
-		lines.splice(i + 1, 0, options.emptyFrame);
+		// don't pass the trace on to our own children
+		delete process.env[PARENT_TRACE_ENV];
+	}
+	if (!parentTraceJson) {
+		return;
+	}
+
+	let trace;
+	try {
+		trace = JSON.parse(parentTraceJson);
+	} catch (e) {
+		return;
+	}
+	if (!trace || trace.version !== JSON_VERSION || !Array.isArray(trace.segments)) {
+		return;
+	}
+
+	// the parent's segment ids are not unique in this process, so they are dropped
+	const frames = [];
+	trace.segments.forEach((segment, i) => {
+		frames.push(i === 0 ? new Boundary(trace.api) : new Boundary(segment.api, {
+			__event__:       segment.event,
+			__delay__:       segment.delay,
+			__id__:          null,
+			__trace_count__: segment.depth,
+			__metadata__:    segment.metadata
+		}));
+		for (const frame of segment.frames) {
+			frames.push(frame.library !== undefined ? new Collapsed(frame.library, frame.count) : new CallSite(frame));
+		}
+		if (segment.repeats) {
+			frames.push(new Repeated(segment.repeats));
+		}
+	});
+	parentProcessTrace = frames;
+
+	// the monitor reports the exception without changing how the process handles it
+	if (trace.api === 'fork' && typeof process.send === 'function' && supportsExceptionMonitor && !forkErrorMonitor) {
+		forkErrorMonitor = sendForkError;
+		process.on('uncaughtExceptionMonitor', forkErrorMonitor);
 	}
-	return lines.join('\n');
 }
 
 /**
- * Define our function that appends parent stacks to our specific stack, then
- * combine them together into a single string.
+ * Sends an uncaught exception with its long stack trace to the parent process that forked this
+ * one so that `wrapFork()` can emit it on the `ChildProcess`.
+ * @param {*} err - The uncaught exception.
  */
-if (Error.prepareStackTrace !== prepareStackTrace) {
-	Error.prepareStackTrace = prepareStackTrace;
+function sendForkError(err) {
+	if (!(err instanceof Error) || !process.connected) {
+		return;
+	}
+	try {
+		process.send({ [FORK_ERROR_MESSAGE]: module.exports.toJSON(err) });
+	} catch (e) {
+		// the error is still reported by Node.js
+	}
 }
 
 /**
  * Wrap a timer based function and its callback to capture the stack.
+ * @param {String} api - The name of the instrumented API used to check if it is enabled.
  * @param {Function} originalFunction - The original function being wrapped.
  * @param {Number|Array.<Number>} callbackPositions - The position in the original function arguments of the callback function.
- * @param {Boolean} [embedStack=false] - When true, embeds the stack into the returned handle.
+ * @param {Object} [opts] - Various options.
+ * @param {Boolean} [opts.embed=false] - When true, embeds the stack into the returned handle.
+ * @param {Boolean} [opts.isConstructor=false] - When true, the original function is invoked with `new`.
+ * @param {Number} [opts.eventPosition] - The position of the event name argument.
+ * @param {Number} [opts.delayPosition] - The position of the timer delay argument.
+ * @param {Boolean} [opts.chained=false] - When true, the returned promise remembers the promise at
+ * the start of its chain.
+ * @param {Boolean} [opts.repeating=false] - When true, the callback is called many times, such as
+ * a listener or an interval, and sampling is decided each time it is called.
  * @returns {Function}
  */
-function wrap(originalFunction, callbackPositions, embedStack, isConstructor) {
+function wrap(api, originalFunction, callbackPositions, opts) {
+	const embed = opts && opts.embed;
+	const repeating = opts && opts.repeating;
+	const isConstructor = opts && opts.isConstructor;
+	const eventPosition = opts && opts.eventPosition;
+	const delayPosition = opts && opts.delayPosition;
+	const chained = opts && opts.chained;
+
 	const fn = function () {
-		let traceError = new Error();
-
-		// capture the stack
-		const orig = Error.prepareStackTrace;
-		Error.prepareStackTrace = (error, stack) => stack;
-		const stack = traceError.stack;
-		Error.prepareStackTrace = orig;
-
-		Object.defineProperties(traceError, {
-			__id__:          { value: ERROR_ID++ },
-			__parent__:      { configurable: true, value: currentTraceError },
-			__stack__:       { value: stack },
-			__trace_count__: { value: currentTraceError ? currentTraceError.__trace_count__ + 1 : 1 }
-		});
+		// when disabled or not sampled, just pass through to the original function
+		if (!options.isApiEnabled(api) || !shouldTrace()) {
+			let args = arguments;
 
-		// limit the stack
-		if (options.asyncTraceLimit > 0) {
-			let count = options.asyncTraceLimit - 1;
-			let previous = traceError;
-			while (previous && count > 1) {
-				previous = previous.__parent__;
-				--count;
+			// a disabled api still propagates the context to its callbacks
+			if (currentContext !== undefined) {
+				args = Array.prototype.slice.call(arguments);
+				for (const pos of [].concat(callbackPositions)) {
+					if (typeof args[pos] === 'function') {
+						args[pos] = bindContext(args[pos], currentContext);
+					}
+				}
 			}
-			if (previous) {
-				delete previous.__parent__;
+
+			// the sampling decision covers the whole async operation, so the promise hook must not
+			// sample the promises created by the original function a second time
+			wrapDepth++;
+			try {
+				if (isConstructor) {
+					return new (originalFunction.bind.apply(originalFunction, [ this ].concat(Array.prototype.slice.call(args))));
+				}
+				return originalFunction.apply(this, args);
+			} finally {
+				wrapDepth--;
 			}
 		}
 
+		// the first callback is used to detect polling loops
+		const firstCallback = arguments[Array.isArray(callbackPositions) ? callbackPositions[0] : callbackPositions];
+		const traceError = createTraceError(originalFunction.name, false, typeof firstCallback === 'function' ? firstCallback : undefined);
+
+		// remember the event name or timer delay so the boundary can be labeled
+		if (eventPosition !== undefined) {
+			Object.defineProperty(traceError, '__event__', { value: String(arguments[eventPosition]) });
+		}
+		if (delayPosition !== undefined) {
+			Object.defineProperty(traceError, '__delay__', { value: Number(arguments[delayPosition]) || 0 });
+		}
+
 		if (!Array.isArray(callbackPositions)) {
 			callbackPositions = [ callbackPositions ];
 		}
@@ -181,14 +1948,29 @@ function wrap(originalFunction, callbackPositions, embedStack, isConstructor) {
 			const callback = arguments[pos];
 			if (typeof callback === 'function') {
 				args[pos] = function () {
-					currentTraceError = traceError;
+					// callbacks such as the Promise executor are called synchronously, so restore
+					// the previous trace error when done
+					const parent = currentTraceError;
+					const parentContext = currentContext;
+					const depth = wrapDepth;
+
+					// a sampled listener or interval would otherwise trace everything it triggers for
+					// the life of the process, so sample each call unless a trace is already active
+					currentTraceError = !repeating || shouldTrace() ? traceError : null;
+					currentContext = traceError.__context__;
+					wrapDepth = 0;
+					if (options.maxRetainedFrames) {
+						traceStore.touch(traceError);
+					}
 					try {
 						return callback.apply(this, arguments);
 					} catch (e) {
 						e.stack; // force Error.prepareStackTrace() call
 						throw e;
 					} finally {
-						currentTraceError = null;
+						currentTraceError = parent;
+						currentContext = parentContext;
+						wrapDepth = depth;
 					}
 				};
 				Object.defineProperties(args[pos], {
@@ -198,40 +1980,32 @@ function wrap(originalFunction, callbackPositions, embedStack, isConstructor) {
 			}
 		}
 
-		// call the function or create it
+		// call the function or create it, any promises created by the original function are
+		// ignored by the promise hook since we've already captured the stack
 		let handle;
-		if (isConstructor) {
-			// add the context for the bind call
-			args.unshift(this);
-			handle = new (originalFunction.bind.apply(originalFunction, args));
-		} else {
-			handle = originalFunction.apply(this, args);
-		}
-
-		if (embedStack && handle) {
-			const embeddedStack = [];
-			for (let frame of stack) {
-				if (frame.getFileName() !== __filename) {
-					frame = sourceMap.wrapCallSite(frame);
-					const rendered = frame.toString();
-					embeddedStack.push({
-						fileName:      frame.getFileName(),
-						scriptName:    frame.getScriptNameOrSourceURL(),
-						evalOrigin:    frame.getEvalOrigin(),
-						typeName:      frame.getTypeName(),
-						functionName:  frame.getFunctionName(),
-						methodName:    frame.getMethodName(),
-						lineNumber:    frame.getLineNumber(),
-						columnNumber:  frame.getColumnNumber(),
-						isToplevel:    frame.isToplevel(),
-						isEval:        frame.isEval(),
-						isNative:      frame.isNative(),
-						isConstructor: frame.isConstructor(),
-						toString:      () => rendered
-					});
-				}
+		wrapDepth++;
+		try {
+			if (isConstructor) {
+				// add the context for the bind call
+				args.unshift(this);
+				handle = new (originalFunction.bind.apply(originalFunction, args));
+			} else {
+				handle = originalFunction.apply(this, args);
 			}
-			Object.defineProperty(handle, '__stack__', { value: embeddedStack });
+		} finally {
+			wrapDepth--;
+		}
+
+		if (embed && handle) {
+			embedStack(handle, traceError);
+		}
+
+		// remember the promise at the start of the chain without retaining the promises in between
+		if (chained && handle && this && typeof this === 'object') {
+			Object.defineProperty(handle, '__origin__', {
+				configurable: true,
+				value: { promise: this.__origin__ ? this.__origin__.promise : this, api: originalFunction.name }
+			});
 		}
 		return handle;
 	};
@@ -241,76 +2015,403 @@ function wrap(originalFunction, callbackPositions, embedStack, isConstructor) {
 }
 
 /**
- * @see https://nodejs.org/api/events.html#events_emitter_addlistener_eventname_listener
+ * Wraps a callback so that it runs with the specified context without capturing a trace.
+ * @param {Function} callback - The callback to wrap.
+ * @param {*} context - The context passed to `runWithContext()`.
+ * @returns {Function}
  */
-EventEmitter.prototype.addListener = wrap(EventEmitter.prototype.addListener, 1);
+function bindContext(callback, context) {
+	const fn = function () {
+		const parentContext = currentContext;
+		currentContext = context;
+		try {
+			return callback.apply(this, arguments);
+		} finally {
+			currentContext = parentContext;
+		}
+	};
+	Object.defineProperties(fn, {
+		name: { value: callback.name },
+		__original_callback__: { value: callback }
+	});
+	return fn;
+}
 
 /**
- * @see https://nodejs.org/api/events.html#events_emitter_on_eventname_listener
+ * A map of async resource types to the name of the API that creates them.
  */
-EventEmitter.prototype.on = EventEmitter.prototype.addListener;
+const hookTypes = {
+	Immediate:  'setImmediate',
+	PROMISE:    'Promise',
+	TickObject: 'nextTick',
+	Timeout:    'setTimeout'
+};
 
 /**
- * @see https://nodejs.org/dist/latest-v5.x/docs/api/events.html#events_emitter_listeners_eventname
+ * Creates an async hook that captures a trace for every async resource when it is initialized,
+ * then makes it the current trace error while the resource's callbacks run.
+ * @param {Boolean} [promisesOnly=false] - When true, only traces promises that were not created by
+ * a wrapped function such as the promises implicitly created by `async` functions and `await`.
+ * @returns {AsyncHook}
  */
-EventEmitter.prototype.listeners = function listeners(type) {
-	return _listeners.call(this, type).map(listener => listener.__original_callback__ || listener);
-};
+function createHook(promisesOnly) {
+	const traces = new Map();
+	const contexts = new Map();
+	const previous = [];
+	const previousContexts = [];
+
+	return asyncHooks.createHook({
+		init(asyncId, type, triggerAsyncId, resource) {
+			if (promisesOnly && (type !== 'PROMISE' || wrapDepth)) {
+				return;
+			}
+
+			// when the api is disabled, the resource's callbacks inherit the current trace
+			const api = hookTypes[type] === 'setTimeout' && resource._repeat ? 'setInterval' : hookTypes[type];
+			if (api && !options.isApiEnabled(api)) {
+				if (currentTraceError && !promisesOnly) {
+					traces.set(asyncId, currentTraceError);
+				} else if (currentContext !== undefined) {
+					contexts.set(asyncId, currentContext);
+				}
+				return;
+			}
+
+			if (!shouldTrace()) {
+				return;
+			}
+
+			// only timers are folded since they are the most likely to be polling loops
+			const traceError = createTraceError(api || type, true, type === 'Timeout' || type === 'Immediate' ? type : undefined);
+			traces.set(asyncId, traceError);
+
+			// remember the timer delay so the boundary is labeled the same as the wrapped timers
+			if (type === 'Timeout') {
+				Object.defineProperty(traceError, '__delay__', { value: Number(resource._idleTimeout) || 0 });
+			}
+
+			if (type === 'Timeout' || type === 'Immediate') {
+				embedStack(resource, traceError);
+			} else if (type === 'PROMISE') {
+				// prior to Node.js 14, the resource is a PromiseWrap
+				embedStack(resource.promise || resource, traceError);
+			}
+		},
+		before(asyncId) {
+			previous.push(currentTraceError);
+			previousContexts.push(currentContext);
+			const traceError = traces.get(asyncId);
+			if (traceError || !promisesOnly) {
+				currentTraceError = traceError || null;
+				currentContext = traceError ? traceError.__context__ : contexts.get(asyncId);
+			} else if (contexts.has(asyncId)) {
+				currentContext = contexts.get(asyncId);
+			}
+			if (traceError && options.maxRetainedFrames) {
+				traceStore.touch(traceError);
+			}
+		},
+		after() {
+			currentTraceError = previous.pop() || null;
+			currentContext = previousContexts.pop();
+		},
+		destroy(asyncId) {
+			traces.delete(asyncId);
+			contexts.delete(asyncId);
+		}
+	});
+}
 
 /**
- * @see https://nodejs.org/dist/latest-v5.x/docs/api/events.html#events_emitter_removelistener_eventname_listener
+ * Creates an async hook that tracks the active timeouts, immediates, and signal handles. Only the
+ * `init` event is used since listening for any other event makes async hooks track every promise,
+ * so a signal handle is forgotten when its `close()` is called.
+ * @returns {AsyncHook}
  */
-EventEmitter.prototype.removeListener = function removeListener(type, listener) {
-	const listeners = _listeners.call(this, type);
-	for (let wrappedListener of listeners) {
-		const callback = wrappedListener.__original_callback__ || wrappedListener;
-		if (callback === listener || wrappedListener === listener) {
-			return _removeListener.call(this, type, wrappedListener);
+function createTimerHook() {
+	return asyncHooks.createHook({
+		init(asyncId, type, triggerAsyncId, resource) {
+			if (type === 'Timeout' || type === 'Immediate') {
+				activeTimers.set(asyncId, { immediate: type === 'Immediate', timer: resource });
+
+				if (activeTimers.size >= timerSweepSize) {
+					for (const entry of activeTimers) {
+						if (!isTimerActive(entry[1].timer)) {
+							activeTimers.delete(entry[0]);
+						}
+					}
+					timerSweepSize = Math.max(1000, activeTimers.size * 2);
+				}
+			} else if (type === 'SIGNALWRAP') {
+				activeSignals.set(asyncId, resource);
+				const close = resource.close;
+				resource.close = function () {
+					activeSignals.delete(asyncId);
+					return close.apply(this, arguments);
+				};
+			}
 		}
-	}
-	return this;
-};
+	});
+}
 
 /**
- * Wraps a Promise.
- * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise
+ * Enables the promise hook used by the `'wrap'` backend when the `Promise` API is enabled or a
+ * context has been set, since native `await` only carries the context through the hook, and
+ * disables it otherwise. The same hook is enabled again so promises in flight keep their traces.
  */
-global.Promise = (function (Promise) {
-	// wrap the constructor
-	const WrappedPromise = wrap(Promise, 0, true, true);
-
-	for (let prop of Object.getOwnPropertyNames(Promise)) {
-		if (prop !== 'name' && prop !== 'length') {
-			WrappedPromise[prop] = Promise[prop];
+function updatePromiseHook() {
+	const enabled = !!asyncHooks && installedBackend === 'wrap' && (options.isApiEnabled('Promise') || contextUsed);
+	if (enabled && !promiseHookEnabled) {
+		if (!promiseHook) {
+			promiseHook = createHook(true);
 		}
+		promiseHook.enable();
+		promiseHookEnabled = true;
+	} else if (!enabled && promiseHookEnabled) {
+		promiseHook.disable();
+		promiseHookEnabled = false;
 	}
-
-	// wrap our instance methods
-	WrappedPromise.prototype.then = wrap(WrappedPromise.prototype.then, [ 0, 1 ]);
-	WrappedPromise.prototype.catch = wrap(WrappedPromise.prototype.catch, 0);
-
-	return WrappedPromise;
-}(global.Promise));
+}
 
 /**
- * Note: when debugging double-stack, you may want to comment out the nextTick()
- * wrapper to prevent a recursive call when using console.log() from inside the
- * function wrapper.
- * @see https://nodejs.org/dist/latest-v5.x/docs/api/process.html#process_process_nexttick_callback_arg
+ * Replaces a property on the target object and records the original property descriptor so that
+ * it can be restored.
+ * @param {Object} target - The object to patch.
+ * @param {String} prop - The name of the property to replace.
+ * @param {*} value - The new value.
  */
-process.nextTick = wrap(process.nextTick, 0);
+function patch(target, prop, value) {
+	patches.push({ target, prop, descriptor: Object.getOwnPropertyDescriptor(target, prop) });
+	target[prop] = value;
+}
 
 /**
- * @see https://nodejs.org/dist/latest-v5.x/docs/api/timers.html#timers_setimmediate_callback_arg
+ * Returns `true` if double-stack is currently installed.
+ * @returns {Boolean}
  */
-global.setImmediate = wrap(global.setImmediate, 0, true);
+module.exports.isInstalled = function isInstalled() {
+	return patches.length > 0;
+};
 
 /**
- * @see https://nodejs.org/dist/latest-v5.x/docs/api/timers.html#timers_setinterval_callback_delay_arg
+ * Applies the specified options, then installs the `Error.prepareStackTrace()` handler and wraps
+ * the various async functions. Calling `install()` when already installed only applies the
+ * options.
+ * @param {Object} [opts] - Values to assign to `options`.
  */
-global.setInterval = wrap(global.setInterval, 0, true);
+module.exports.install = function install(opts) {
+	if (opts) {
+		for (const key of Object.keys(opts)) {
+			if (!(key in options)) {
+				throw new TypeError(`Unknown option "${key}"`);
+			}
+			options[key] = opts[key];
+		}
+	}
+
+	if (patches.length) {
+		if (installedBackend === options.backend) {
+			updateRejectionListener(options.unhandledRejections);
+			return;
+		}
+		module.exports.uninstall();
+	}
+
+	if (options.backend === 'hooks' && !asyncHooks) {
+		throw new Error('The "hooks" backend requires async_hooks which is not supported by this version of Node.js');
+	}
+
+	updateRejectionListener(options.unhandledRejections);
+	loadParentTrace();
+
+	// only install source map support if there's not already an Error.prepareStackTrace()
+	if (Error.prepareStackTrace) {
+		origPrepareStackTrace = Error.prepareStackTrace;
+	} else {
+		if (!sourceMapPrepareStackTrace) {
+			// source-map-support only ever installs itself once, so remember its handler; its
+			// uncaught exception handler exits a worker thread before the error can be emitted on
+			// the `Worker` in the parent, so leave those to Node.js
+			const emit = process.emit;
+			sourceMap.install({ handleUncaughtExceptions: !workerThreads || workerThreads.isMainThread });
+			sourceMapPrepareStackTrace = Error.prepareStackTrace;
+			delete Error.prepareStackTrace;
+
+			// remember its uncaught exception shim so that it can be patched in and restored
+			if (process.emit !== emit) {
+				sourceMapEmit = process.emit;
+				process.emit = emit;
+			}
+		}
+		origPrepareStackTrace = sourceMapPrepareStackTrace;
+		if (sourceMapEmit) {
+			patch(process, 'emit', sourceMapEmit);
+		}
+	}
+
+	/**
+	 * Define our function that appends parent stacks to our specific stack, then combine them
+	 * together into a single string.
+	 */
+	patch(Error, 'prepareStackTrace', prepareStackTrace);
+	installedBackend = options.backend;
+
+	/**
+	 * Embed the creation stack in handles that keep the event loop alive. These are not async
+	 * boundaries, so they are instrumented regardless of the backend.
+	 * @see https://nodejs.org/api/net.html#net_server_listen
+	 * @see https://nodejs.org/api/net.html#net_socket_connect
+	 * @see https://nodejs.org/api/child_process.html#child_process_asynchronous_process_creation
+	 * @see https://nodejs.org/api/fs.html#fs_fs_watch_filename_options_listener
+	 */
+	patch(net.Server.prototype, 'listen', wrapHandleCreator('net', net.Server.prototype.listen, server => server));
+	patch(net.Socket.prototype, 'connect', wrapHandleCreator('net', net.Socket.prototype.connect, socket => socket));
+	patch(ChildProcess.prototype, 'spawn', wrapHandleCreator('childProcess', ChildProcess.prototype.spawn, child => child));
+	patch(childProcess, 'fork', wrapFork(childProcess.fork));
+	patch(fs, 'watch', wrapHandleCreator('fsWatch', fs.watch, (ctx, watcher, args) => {
+		// the watcher doesn't remember what it's watching
+		if (watcher && typeof watcher === 'object') {
+			Object.defineProperty(watcher, '__path__', { configurable: true, value: String(args[0]) });
+		}
+		return watcher;
+	}));
+	if (workerThreads) {
+		patch(workerThreads, 'Worker', wrapWorker(workerThreads.Worker));
+	}
+
+	if (asyncHooks) {
+		timerHook = createTimerHook().enable();
+	}
+
+	if (installedBackend === 'hooks') {
+		hook = createHook().enable();
+		return;
+	}
+
+	_listeners = EventEmitter.prototype.listeners;
+	_removeListener = EventEmitter.prototype.removeListener;
+
+	/**
+	 * @see https://nodejs.org/api/events.html#events_emitter_addlistener_eventname_listener
+	 */
+	patch(EventEmitter.prototype, 'addListener', wrap('EventEmitter', EventEmitter.prototype.addListener, 1, { eventPosition: 0, repeating: true }));
+
+	/**
+	 * @see https://nodejs.org/api/events.html#events_emitter_on_eventname_listener
+	 */
+	patch(EventEmitter.prototype, 'on', EventEmitter.prototype.addListener);
+
+	/**
+	 * @see https://nodejs.org/dist/latest-v5.x/docs/api/events.html#events_emitter_listeners_eventname
+	 */
+	patch(EventEmitter.prototype, 'listeners', function listeners(type) {
+		return _listeners.call(this, type).map(listener => listener.__original_callback__ || listener);
+	});
+
+	/**
+	 * @see https://nodejs.org/dist/latest-v5.x/docs/api/events.html#events_emitter_removelistener_eventname_listener
+	 */
+	patch(EventEmitter.prototype, 'removeListener', function removeListener(type, listener) {
+		const listeners = _listeners.call(this, type);
+		for (let wrappedListener of listeners) {
+			const callback = wrappedListener.__original_callback__ || wrappedListener;
+			if (callback === listener || wrappedListener === listener) {
+				return _removeListener.call(this, type, wrappedListener);
+			}
+		}
+		return this;
+	});
+
+	/**
+	 * Wraps a Promise.
+	 * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise
+	 */
+	patch(global, 'Promise', (function (Promise) {
+		// wrap the constructor
+		const WrappedPromise = wrap('Promise', Promise, 0, { embed: true, isConstructor: true });
+
+		for (let prop of Object.getOwnPropertyNames(Promise)) {
+			if (prop !== 'name' && prop !== 'length') {
+				WrappedPromise[prop] = Promise[prop];
+			}
+		}
+
+		// wrap our instance methods, note that the prototype is shared with the original Promise
+		patch(Promise.prototype, 'then', wrap('Promise', Promise.prototype.then, [ 0, 1 ], { embed: true, chained: true }));
+		patch(Promise.prototype, 'catch', wrap('Promise', Promise.prototype.catch, 0, { embed: true, chained: true }));
+
+		return WrappedPromise;
+	}(global.Promise)));
+
+	/**
+	 * Note: when debugging double-stack, you may want to comment out the nextTick()
+	 * wrapper to prevent a recursive call when using console.log() from inside the
+	 * function wrapper.
+	 * @see https://nodejs.org/dist/latest-v5.x/docs/api/process.html#process_process_nexttick_callback_arg
+	 */
+	patch(process, 'nextTick', wrap('nextTick', process.nextTick, 0));
+
+	/**
+	 * @see https://nodejs.org/dist/latest-v5.x/docs/api/timers.html#timers_setimmediate_callback_arg
+	 */
+	patch(global, 'setImmediate', wrap('setImmediate', global.setImmediate, 0, { embed: true }));
+
+	/**
+	 * @see https://nodejs.org/dist/latest-v5.x/docs/api/timers.html#timers_setinterval_callback_delay_arg
+	 */
+	patch(global, 'setInterval', wrap('setInterval', global.setInterval, 0, { embed: true, delayPosition: 1, repeating: true }));
+
+	/**
+	 * @see https://nodejs.org/dist/latest-v5.x/docs/api/timers.html#timers_settimeout_callback_delay_arg
+	 */
+	patch(global, 'setTimeout', wrap('setTimeout', global.setTimeout, 0, { embed: true, delayPosition: 1 }));
+
+	/**
+	 * Promises created by `async` functions and `await` never call the wrapped `Promise`, so use
+	 * a promise hook to trace them when async hooks are supported.
+	 */
+	updatePromiseHook();
+};
 
 /**
- * @see https://nodejs.org/dist/latest-v5.x/docs/api/timers.html#timers_settimeout_callback_delay_arg
+ * Restores `Error.prepareStackTrace()` and every function replaced by `install()`. Callbacks that
+ * were scheduled while installed continue to work, but no new async traces are captured.
  */
-global.setTimeout = wrap(global.setTimeout, 0, true);
+module.exports.uninstall = function uninstall() {
+	updateRejectionListener(false);
+
+	if (hook) {
+		hook.disable();
+		hook = null;
+	}
+	if (timerHook) {
+		timerHook.disable();
+		timerHook = null;
+	}
+
+	while (patches.length) {
+		const p = patches.pop();
+		if (p.descriptor) {
+			Object.defineProperty(p.target, p.prop, p.descriptor);
+		} else {
+			delete p.target[p.prop];
+		}
+	}
+
+	currentTraceError = null;
+	currentContext = undefined;
+	origPrepareStackTrace = null;
+	installedBackend = null;
+	contextUsed = false;
+	updatePromiseHook();
+	promiseHook = null;
+	activeTimers.clear();
+	activeSignals.clear();
+	activeWorkers.clear();
+	parentProcessTrace = null;
+	if (forkErrorMonitor) {
+		process.removeListener('uncaughtExceptionMonitor', forkErrorMonitor);
+		forkErrorMonitor = null;
+	}
+	traceStore.reset();
+};
@@ -0,0 +1,21 @@
+/* global afterEach, beforeEach */
+
+const LeakCheck = require('./leak-check');
+
+/**
+ * A Jest setup file that snapshots the active handles before each test and fails the test if it
+ * leaked any handles. Add it to `setupFilesAfterEnv`. Handles created by Jest itself are always
+ * allowed. Additional allowed handles may be specified as strings using the
+ * `doubleStackLeakCheck.allow` Jest global.
+ */
+if (typeof beforeEach !== 'function' || typeof afterEach !== 'function') {
+	throw new Error('double-stack/dist/jest must be loaded as a Jest setup file');
+}
+
+const leakCheck = new LeakCheck(global.doubleStackLeakCheck);
+leakCheck.allow.push(leak => LeakCheck.isFromPackage(leak.stack[0], /^(@jest|jest-.+|expect)$/));
+
+beforeEach(() => leakCheck.start());
+afterEach(() => leakCheck.check());
+
+module.exports = leakCheck;
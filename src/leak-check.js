@@ -0,0 +1,121 @@
+const ds = require('./double-stack');
+
+/**
+ * Snapshots the active handles before a test and fails if the test leaked any handles.
+ */
+module.exports = class LeakCheck {
+	/**
+	 * Installs double-stack so that handles have creation stacks and validates the options.
+	 * @param {Object} [opts] - Various options.
+	 * @param {Array.<String|RegExp|Function>} [opts.allow] - Known long-lived handles to ignore.
+	 * A string or regular expression is matched against the frame where the handle was created. A
+	 * function is passed the leak containing the `type`, `handle`, and `stack` and returns `true`
+	 * to ignore it.
+	 */
+	constructor(opts) {
+		opts = opts || {};
+		if (typeof opts !== 'object') {
+			throw new TypeError('Expected options to be an object');
+		}
+
+		const allow = opts.allow === undefined ? [] : opts.allow;
+		if (!Array.isArray(allow)) {
+			throw new TypeError('Expected allow to be an array');
+		}
+		for (const entry of allow) {
+			if (typeof entry !== 'string' && typeof entry !== 'function' && !(entry instanceof RegExp)) {
+				throw new TypeError('Expected allow entries to be strings, regular expressions, or functions');
+			}
+		}
+
+		this.allow = allow.slice();
+		this.snapshot = null;
+
+		if (!ds.isInstalled()) {
+			ds.install();
+		}
+	}
+
+	/**
+	 * Determines if a leaked handle is in the allowlist.
+	 * @param {Object} leak - The leaked handle.
+	 * @returns {Boolean}
+	 */
+	isAllowed(leak) {
+		const site = leak.stack.length ? String(leak.stack[0]) : '';
+		return this.allow.some(entry => {
+			if (typeof entry === 'function') {
+				return !!entry(leak);
+			}
+			if (entry instanceof RegExp) {
+				return entry.test(site);
+			}
+			return site.indexOf(entry) !== -1;
+		});
+	}
+
+	/**
+	 * Snapshots the active handles. Call this before each test.
+	 */
+	start() {
+		this.snapshot = ds.snapshotHandles();
+	}
+
+	/**
+	 * Compares the active handles with the snapshot and throws an error listing the leaked handles
+	 * that are not allowed. Call this after each test.
+	 */
+	check() {
+		if (!this.snapshot) {
+			return;
+		}
+
+		const leaks = ds.diffHandles(this.snapshot).filter(leak => !this.isAllowed(leak));
+		this.snapshot = null;
+
+		if (leaks.length) {
+			const err = new Error(LeakCheck.formatLeaks(leaks));
+			err.leaks = leaks;
+			throw err;
+		}
+	}
+
+	/**
+	 * Renders the leaked handles and the stacks where they were created.
+	 * @param {Array.<Object>} leaks - The leaked handles returned by `diffHandles()`.
+	 * @returns {String}
+	 */
+	static formatLeaks(leaks) {
+		const lines = [ `Leaked ${leaks.length} handle${leaks.length === 1 ? '' : 's'}` ];
+		for (const leak of leaks) {
+			lines.push('');
+			if (leak.stack.length) {
+				lines.push(`${leak.type} created at:`);
+				for (const frame of leak.stack) {
+					lines.push(`    at ${frame}`);
+				}
+			} else {
+				lines.push(`${leak.type} created at an unknown location`);
+			}
+		}
+		return lines.join('\n');
+	}
+
+	/**
+	 * Determines if a frame belongs to the specified package in `node_modules`.
+	 * @param {Object} frame - The source mapped frame or collapsed frames.
+	 * @param {String|RegExp} name - The name of the package or a pattern matching the name.
+	 * @returns {Boolean}
+	 */
+	static isFromPackage(frame, name) {
+		let pkg = null;
+		if (frame && frame.library !== undefined) {
+			pkg = frame.library;
+		} else if (frame && frame.fileName) {
+			const parts = frame.fileName.split(/[\\/]/);
+			const i = parts.lastIndexOf('node_modules');
+			pkg = i !== -1 ? parts[i + 1] : null;
+		}
+		return !!pkg && (name instanceof RegExp ? name.test(pkg) : pkg === name);
+	}
+};
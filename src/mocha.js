@@ -0,0 +1,41 @@
+const LeakCheck = require('./leak-check');
+
+/**
+ * Creates mocha root hooks that snapshot the active handles before each test and fail the test if
+ * it leaked any handles. Handles created by mocha itself are always allowed.
+ * @param {Object} [opts] - Various options.
+ * @param {Array.<String|RegExp|Function>} [opts.allow] - Known long-lived handles to ignore.
+ * @returns {Object} The `beforeEach` and `afterEach` root hooks.
+ */
+function createMochaHooks(opts) {
+	const leakCheck = new LeakCheck(opts);
+	leakCheck.allow.push(leak => LeakCheck.isFromPackage(leak.stack[0], 'mocha'));
+
+	return {
+		beforeEach() {
+			leakCheck.start();
+		},
+		afterEach() {
+			try {
+				leakCheck.check();
+			} catch (err) {
+				// an error thrown by a root hook fails the hook and aborts the run, so fail the test
+				// that leaked instead
+				if (!this || !this.test || typeof this.test.error !== 'function') {
+					throw err;
+				}
+				this.test.error(err);
+			}
+		}
+	};
+}
+
+module.exports.createMochaHooks = createMochaHooks;
+
+/**
+ * The root hooks loaded by `mocha --require double-stack/dist/mocha`.
+ * @returns {Object}
+ */
+module.exports.mochaHooks = function mochaHooks() {
+	return createMochaHooks();
+};
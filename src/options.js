@@ -1,10 +1,135 @@
+const util = require('util');
+
+/**
+ * Converts a glob into a regular expression. Supports `**`, `*`, and `?`.
+ * @param {String} glob - The glob pattern.
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+	let re = '';
+	for (let i = 0; i < glob.length; i++) {
+		const c = glob[i];
+		if (c === '*' && glob[i + 1] === '*') {
+			if (glob[i + 2] === '/') {
+				re += '(?:.*/)?';
+				i += 2;
+			} else {
+				re += '.*';
+				i++;
+			}
+		} else if (c === '*') {
+			re += '[^/]*';
+		} else if (c === '?') {
+			re += '[^/]';
+		} else {
+			re += c.replace(/[|\\{}()[\]^$+.]/g, '\\$&');
+		}
+	}
+	return new RegExp(`^${re}$`);
+}
+
+/**
+ * Validates a list of frame filters and converts them into functions.
+ * @param {String} name - The name of the option being set.
+ * @param {String|RegExp|Function|Array} value - One or more globs, regular expressions, or
+ * functions.
+ * @returns {Array.<Function>}
+ */
+function toMatchers(name, value) {
+	return (Array.isArray(value) ? value : [ value ]).map(filter => {
+		if (typeof filter === 'function') {
+			return filter;
+		}
+		if (filter instanceof RegExp) {
+			return frame => filter.test(frame.getFileName() || '');
+		}
+		if (typeof filter === 'string' && filter) {
+			const re = globToRegExp(filter.replace(/\\/g, '/'));
+			return frame => re.test((frame.getFileName() || '').replace(/\\/g, '/'));
+		}
+		throw new TypeError(`${name} must be a glob, regular expression, function, or an array of them`);
+	});
+}
+
+/**
+ * Whether `util.inspect()` prints an error's `cause` and aggregated `errors`, which Node.js does
+ * starting with 16.14.
+ */
+const inspectPrintsCauses = (() => {
+	const error = new Error();
+	Object.defineProperty(error, 'cause', { configurable: true, value: true, writable: true });
+	error.stack = 'Error';
+	return util.inspect(error).indexOf('[cause]') !== -1;
+})();
+
+/**
+ * The names of the instrumented APIs that can be enabled or disabled.
+ */
+const apiNames = [ 'childProcess', 'EventEmitter', 'fsWatch', 'net', 'nextTick', 'Promise', 'setImmediate', 'setInterval', 'setTimeout', 'Worker' ];
+
 /**
  * Tracks various options.
  */
 module.exports = class Options {
-	constructor() {
+	/**
+	 * Initializes the default options.
+	 * @param {Function} [onChange] - A function called with the name of an option that must be
+	 * applied immediately when it changes.
+	 */
+	constructor(onChange) {
+		this._onChange = typeof onChange === 'function' ? onChange : null;
+		this._apis = {};
+		for (const name of apiNames) {
+			this._apis[name] = true;
+		}
 		this._asyncTraceLimit = 10;
+		this._backend = 'wrap';
+		this._collapseFrames = false;
 		this._emptyFrame = '-------------------------------------------------';
+		this._excludeFrames = [];
+		this._excludeMatchers = [];
+		this._includeFrames = [];
+		this._includeMatchers = [];
+		this._maxRetainedFrames = 0;
+		this._metadata = null;
+		this._propagateTraces = false;
+		// Node.js already prints nested errors when inspecting an error, so rendering them into the
+		// stack would print them twice
+		this._renderCauses = !inspectPrintsCauses;
+		this._sampleBudget = 0;
+		this._sampleInterval = 1;
+		this._unhandledRejections = false;
+	}
+
+	/**
+	 * Gets a copy of the map of instrumented APIs and whether they are enabled.
+	 * @returns {Object}
+	 */
+	get apis() {
+		return Object.assign({}, this._apis);
+	}
+
+	/**
+	 * Enables or disables one or more instrumented APIs. APIs not specified are left unchanged.
+	 * @param {Object} value - A map of API names (`childProcess`, `EventEmitter`, `fsWatch`, `net`,
+	 * `nextTick`, `Promise`, `setImmediate`, `setInterval`, `setTimeout`, `Worker`) to booleans.
+	 */
+	set apis(value) {
+		if (!value || typeof value !== 'object') {
+			throw new TypeError('apis must be an object');
+		}
+		for (const name of Object.keys(value)) {
+			if (apiNames.indexOf(name) === -1) {
+				throw new TypeError(`Unknown api "${name}"`);
+			}
+			if (typeof value[name] !== 'boolean') {
+				throw new TypeError(`apis.${name} must be a boolean`);
+			}
+		}
+		Object.assign(this._apis, value);
+		if (this._onChange) {
+			this._onChange('apis');
+		}
 	}
 
 	/**
@@ -27,21 +152,265 @@ module.exports = class Options {
 	}
 
 	/**
-	 * Gets the current empty frame name.
+	 * Gets the name of the backend used to capture async traces.
 	 * @returns {String}
 	 */
+	get backend() {
+		return this._backend;
+	}
+
+	/**
+	 * Sets the backend used to capture async traces. Takes effect the next time `install()` is
+	 * called.
+	 * @param {String} value - Either `'wrap'` to wrap the async functions or `'hooks'` to use
+	 * `async_hooks`.
+	 */
+	set backend(value) {
+		if (value !== 'wrap' && value !== 'hooks') {
+			throw new TypeError('backend must be "wrap" or "hooks"');
+		}
+		this._backend = value;
+	}
+
+	/**
+	 * Gets whether consecutive frames from the same library are collapsed.
+	 * @returns {Boolean}
+	 */
+	get collapseFrames() {
+		return this._collapseFrames;
+	}
+
+	/**
+	 * Sets whether consecutive frames from the same package in `node_modules` or from Node.js
+	 * internals are collapsed into a single line.
+	 * @param {Boolean} value - When true, collapses library frames.
+	 */
+	set collapseFrames(value) {
+		if (typeof value !== 'boolean') {
+			throw new TypeError('collapseFrames must be a boolean');
+		}
+		this._collapseFrames = value;
+	}
+
+	/**
+	 * Gets the current empty frame template or function.
+	 * @returns {String|Function}
+	 */
 	get emptyFrame() {
 		return this._emptyFrame;
 	}
 
 	/**
-	 * Sets a new empty frame delimiter.
-	 * @param {String} value - The new empty frame delimitor.
+	 * Sets a new empty frame delimiter. A string may contain `{api}`, `{label}`, `{event}`,
+	 * `{delay}`, `{id}`, `{depth}`, and `{metadata}` placeholders. A function is passed the boundary
+	 * and must return the string to render.
+	 * @param {String|Function} value - The new empty frame delimitor.
 	 */
 	set emptyFrame(value) {
 		if (!value) {
-			throw new TypeError('emptyFrame must be a non-empty string');
+			throw new TypeError('emptyFrame must be a non-empty string or a function');
+		}
+		this._emptyFrame = typeof value === 'function' ? value : String(value);
+	}
+
+	/**
+	 * Gets the frame exclude filters.
+	 * @returns {Array}
+	 */
+	get excludeFrames() {
+		return this._excludeFrames;
+	}
+
+	/**
+	 * Sets the filters used to remove frames from stack traces. A frame is removed if its file
+	 * name matches a glob or regular expression or if a function returns `true`.
+	 * @param {String|RegExp|Function|Array} value - One or more globs, regular expressions, or
+	 * functions that are passed the call site.
+	 */
+	set excludeFrames(value) {
+		this._excludeMatchers = toMatchers('excludeFrames', value);
+		this._excludeFrames = Array.isArray(value) ? value.slice() : [ value ];
+	}
+
+	/**
+	 * Gets the frame include filters.
+	 * @returns {Array}
+	 */
+	get includeFrames() {
+		return this._includeFrames;
+	}
+
+	/**
+	 * Sets the filters used to select the frames in stack traces. When there is at least one
+	 * filter, only frames whose file name matches a glob or regular expression or for which a
+	 * function returns `true` are kept.
+	 * @param {String|RegExp|Function|Array} value - One or more globs, regular expressions, or
+	 * functions that are passed the call site.
+	 */
+	set includeFrames(value) {
+		this._includeMatchers = toMatchers('includeFrames', value);
+		this._includeFrames = Array.isArray(value) ? value.slice() : [ value ];
+	}
+
+	/**
+	 * Gets the maximum number of call site frames retained by all traces.
+	 * @returns {Number}
+	 */
+	get maxRetainedFrames() {
+		return this._maxRetainedFrames;
+	}
+
+	/**
+	 * Sets the maximum number of call site frames retained by all traces. When exceeded, the least
+	 * recently used traces are evicted.
+	 * @param {Number} value - An integer greater than or equal to zero where zero is unlimited.
+	 */
+	set maxRetainedFrames(value) {
+		if (typeof value !== 'number' || isNaN(value) || ~~value < 0) {
+			throw new TypeError('maxRetainedFrames must be a positive integer or zero');
+		}
+		this._maxRetainedFrames = Math.max(~~value, 0);
+	}
+
+	/**
+	 * Gets the metadata provider.
+	 * @returns {Function}
+	 */
+	get metadata() {
+		return this._metadata;
+	}
+
+	/**
+	 * Sets a function that is called with the name of the API each time a trace is captured and
+	 * returns metadata such as a request id to render next to the async boundary.
+	 * @param {Function} value - The metadata provider or `null` to remove it.
+	 */
+	set metadata(value) {
+		if (value !== null && typeof value !== 'function') {
+			throw new TypeError('metadata must be a function or null');
+		}
+		this._metadata = value;
+	}
+
+	/**
+	 * Gets whether traces are passed to child processes and worker threads.
+	 * @returns {Boolean}
+	 */
+	get propagateTraces() {
+		return this._propagateTraces;
+	}
+
+	/**
+	 * Sets whether the stack where a child process is forked or a worker thread is created is
+	 * passed to the child so that its long stack traces continue into the parent.
+	 * @param {Boolean} value - When true, propagates traces.
+	 */
+	set propagateTraces(value) {
+		if (typeof value !== 'boolean') {
+			throw new TypeError('propagateTraces must be a boolean');
+		}
+		this._propagateTraces = value;
+	}
+
+	/**
+	 * Gets whether nested errors are rendered.
+	 * @returns {Boolean}
+	 */
+	get renderCauses() {
+		return this._renderCauses;
+	}
+
+	/**
+	 * Sets whether an error's `cause` and the errors aggregated by an `AggregateError` are
+	 * rendered below the error's stack, each with its own long stack trace.
+	 * @param {Boolean} value - When true, renders nested errors.
+	 */
+	set renderCauses(value) {
+		if (typeof value !== 'boolean') {
+			throw new TypeError('renderCauses must be a boolean');
+		}
+		this._renderCauses = value;
+	}
+
+	/**
+	 * Gets the maximum number of new traces captured per second.
+	 * @returns {Number}
+	 */
+	get sampleBudget() {
+		return this._sampleBudget;
+	}
+
+	/**
+	 * Sets the maximum number of new traces captured per second. Async calls made while a trace
+	 * is active are always captured.
+	 * @param {Number} value - An integer greater than or equal to zero where zero is unlimited.
+	 */
+	set sampleBudget(value) {
+		if (typeof value !== 'number' || isNaN(value) || ~~value < 0) {
+			throw new TypeError('sampleBudget must be a positive integer or zero');
+		}
+		this._sampleBudget = Math.max(~~value, 0);
+	}
+
+	/**
+	 * Gets the sampling interval.
+	 * @returns {Number}
+	 */
+	get sampleInterval() {
+		return this._sampleInterval;
+	}
+
+	/**
+	 * Sets the sampling interval where only 1 in N new traces are captured. Async calls made while
+	 * a trace is active are always captured.
+	 * @param {Number} value - An integer greater than or equal to one.
+	 */
+	set sampleInterval(value) {
+		if (typeof value !== 'number' || isNaN(value) || ~~value < 1) {
+			throw new TypeError('sampleInterval must be a positive integer');
+		}
+		this._sampleInterval = ~~value;
+	}
+
+	/**
+	 * Gets whether unhandled promise rejections are reported.
+	 * @returns {Boolean}
+	 */
+	get unhandledRejections() {
+		return this._unhandledRejections;
+	}
+
+	/**
+	 * Sets whether an `unhandledRejection` listener that reports where the rejected promise was
+	 * created is added when installed. Takes effect the next time `install()` is called.
+	 * @param {Boolean} value - When true, reports unhandled rejections.
+	 */
+	set unhandledRejections(value) {
+		if (typeof value !== 'boolean') {
+			throw new TypeError('unhandledRejections must be a boolean');
+		}
+		this._unhandledRejections = value;
+	}
+
+	/**
+	 * Determines if the specified instrumented API is enabled.
+	 * @param {String} name - The name of the API.
+	 * @returns {Boolean}
+	 */
+	isApiEnabled(name) {
+		return this._apis[name] !== false;
+	}
+
+	/**
+	 * Determines if a frame should be shown based on the `includeFrames` and `excludeFrames`
+	 * filters.
+	 * @param {CallSite} frame - The call site to check.
+	 * @returns {Boolean}
+	 */
+	filterFrame(frame) {
+		if (this._includeMatchers.length && !this._includeMatchers.some(matcher => matcher(frame))) {
+			return false;
 		}
-		this._emptyFrame = String(value);
+		return !this._excludeMatchers.some(matcher => matcher(frame));
 	}
 };
@@ -0,0 +1,150 @@
+/* global FinalizationRegistry, WeakRef */
+
+/**
+ * Keeps track of the trace errors that are currently retained and evicts the least recently used
+ * ones when the number of retained frames exceeds the budget.
+ *
+ * Trace errors are only tracked while there is a budget since tracking every trace error is
+ * expensive. When `WeakRef` is available, the trace errors are held weakly so that traces that are
+ * no longer reachable are garbage collected and removed from the store. Otherwise the trace errors
+ * are held until they are evicted.
+ */
+module.exports = class TraceStore {
+	/**
+	 * Initializes the store.
+	 * @param {Function} release - A function that is passed the trace error to evict and releases
+	 * everything it retains.
+	 */
+	constructor(release) {
+		this.release = release;
+		this.records = new Map();
+		this.weak = typeof WeakRef === 'function' && typeof FinalizationRegistry === 'function';
+		this.registry = this.weak ? new FinalizationRegistry(id => this.remove(id)) : null;
+		this.reset();
+	}
+
+	/**
+	 * Forgets every trace error and resets the counters.
+	 */
+	reset() {
+		this.records.clear();
+		this.created = 0;
+		this.evicted = 0;
+		this.frames = 0;
+	}
+
+	/**
+	 * Adds a newly created trace error to the store and evicts traces if the budget is exceeded.
+	 * @param {Error} traceError - The trace error.
+	 * @param {Number} maxFrames - The maximum number of frames to retain or `0` for unlimited.
+	 */
+	add(traceError, maxFrames) {
+		this.created++;
+		if (!maxFrames) {
+			// stop retaining the traces tracked while there was a budget
+			if (this.records.size) {
+				this.records.clear();
+				this.frames = 0;
+			}
+			return;
+		}
+
+		// the call sites are not materialized yet, so assume the worst unless the limit has been
+		// removed in which case assume the V8 default
+		const record = {
+			frames: isFinite(Error.stackTraceLimit) ? Error.stackTraceLimit : 10,
+			ref: this.weak ? new WeakRef(traceError) : { deref: () => traceError }
+		};
+		this.records.set(traceError.__id__, record);
+		this.frames += record.frames;
+		if (this.weak) {
+			this.registry.register(traceError, traceError.__id__, record);
+		}
+		this.trim(maxFrames);
+	}
+
+	/**
+	 * Updates the number of frames retained by a trace error once its call sites have been
+	 * materialized.
+	 * @param {Error} traceError - The trace error.
+	 * @param {Number} frames - The number of frames.
+	 * @param {Number} maxFrames - The maximum number of frames to retain or `0` for unlimited.
+	 */
+	materialized(traceError, frames, maxFrames) {
+		const record = this.records.get(traceError.__id__);
+		if (record) {
+			this.frames += frames - record.frames;
+			record.frames = frames;
+			this.trim(maxFrames);
+		}
+	}
+
+	/**
+	 * Marks a trace error and all of its ancestors as recently used.
+	 * @param {Error} traceError - The trace error.
+	 */
+	touch(traceError) {
+		for (let t = traceError; t; t = t.__parent__) {
+			const record = this.records.get(t.__id__);
+			if (record) {
+				this.records.delete(t.__id__);
+				this.records.set(t.__id__, record);
+			}
+		}
+	}
+
+	/**
+	 * Removes a trace error from the store without releasing it.
+	 * @param {Number} id - The trace error id.
+	 * @returns {Object} The removed record.
+	 */
+	remove(id) {
+		const record = this.records.get(id);
+		if (record) {
+			this.records.delete(id);
+			this.frames -= record.frames;
+		}
+		return record;
+	}
+
+	/**
+	 * Evicts the least recently used trace errors until the retained frames are within the budget.
+	 * The most recent trace error is never evicted.
+	 * @param {Number} maxFrames - The maximum number of frames to retain or `0` for unlimited.
+	 */
+	trim(maxFrames) {
+		if (!maxFrames) {
+			return;
+		}
+
+		for (const id of this.records.keys()) {
+			if (this.frames <= maxFrames || this.records.size <= 1) {
+				break;
+			}
+			const record = this.remove(id);
+			const traceError = record.ref.deref();
+			if (this.weak) {
+				this.registry.unregister(record);
+			}
+			if (traceError) {
+				this.release(traceError);
+				this.evicted++;
+			}
+		}
+	}
+
+	/**
+	 * Returns the number of trace errors and frames that are currently retained.
+	 * @param {Number} maxFrames - The maximum number of frames to retain or `0` for unlimited.
+	 * @returns {Object}
+	 */
+	stats(maxFrames) {
+		const tracked = maxFrames > 0;
+		return {
+			records: tracked ? this.records.size : null,
+			frames:  tracked ? this.frames : null,
+			created: this.created,
+			evicted: this.evicted
+		};
+	}
+};
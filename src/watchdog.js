@@ -0,0 +1,103 @@
+const fs = require('fs');
+
+/**
+ * Reports the active handles when the process has not exited within a grace period after its
+ * work is done.
+ */
+module.exports = class Watchdog {
+	/**
+	 * Validates the options.
+	 * @param {Object} [opts] - Various options.
+	 * @param {Number} [opts.timeout=5000] - The number of milliseconds to wait after `done()`
+	 * before reporting.
+	 * @param {String|Object} [opts.output=process.stderr] - A file path or writable stream to write
+	 * the report to.
+	 * @param {String} [opts.format='text'] - The format of the report: `text` or `json`.
+	 * @param {Number} [opts.exitCode] - When set, the process is exited with this code after
+	 * reporting.
+	 * @param {Promise} [opts.trigger] - A promise that calls `done()` when it settles.
+	 * @param {Function} report - A function that is passed the format and returns the report.
+	 */
+	constructor(opts, report) {
+		opts = opts || {};
+		if (typeof opts !== 'object') {
+			throw new TypeError('Expected options to be an object');
+		}
+
+		this.timeout = opts.timeout !== undefined ? opts.timeout : 5000;
+		if (typeof this.timeout !== 'number' || isNaN(this.timeout) || this.timeout < 0) {
+			throw new TypeError('Expected timeout to be a positive number or zero');
+		}
+
+		this.output = opts.output || process.stderr;
+		if (typeof this.output !== 'string' && (typeof this.output !== 'object' || typeof this.output.write !== 'function')) {
+			throw new TypeError('Expected output to be a file path or a writable stream');
+		}
+
+		this.format = opts.format || 'text';
+		if (this.format !== 'text' && this.format !== 'json') {
+			throw new TypeError('Expected format to be "text" or "json"');
+		}
+
+		this.exitCode = opts.exitCode;
+		if (this.exitCode !== undefined && (typeof this.exitCode !== 'number' || this.exitCode % 1 !== 0)) {
+			throw new TypeError('Expected exitCode to be an integer');
+		}
+
+		if (opts.trigger !== undefined) {
+			if (!opts.trigger || typeof opts.trigger.then !== 'function') {
+				throw new TypeError('Expected trigger to be a promise');
+			}
+			opts.trigger.then(() => this.done(), () => this.done());
+		}
+
+		this.report = report;
+		this.timer = null;
+	}
+
+	/**
+	 * Signals that the work is done and starts the grace period. The timer does not keep the
+	 * process alive, so if the process exits on its own, nothing is reported.
+	 * @returns {Watchdog}
+	 */
+	done() {
+		if (!this.timer) {
+			this.timer = setTimeout(() => this.bark(), this.timeout);
+			this.timer.unref();
+		}
+		return this;
+	}
+
+	/**
+	 * Cancels the grace period.
+	 * @returns {Watchdog}
+	 */
+	stop() {
+		if (this.timer) {
+			clearTimeout(this.timer);
+			this.timer = null;
+		}
+		return this;
+	}
+
+	/**
+	 * Writes the report and exits the process if an exit code was specified.
+	 */
+	bark() {
+		this.timer = null;
+
+		const report = this.format === 'json'
+			? JSON.stringify(this.report('json'), null, 2)
+			: `The process did not exit within ${this.timeout}ms after it was done\n\n${this.report('text')}`;
+
+		if (typeof this.output === 'string') {
+			fs.writeFileSync(this.output, report + '\n');
+		} else {
+			this.output.write(report + '\n');
+		}
+
+		if (this.exitCode !== undefined) {
+			process.exit(this.exitCode);
+		}
+	}
+};
@@ -0,0 +1,21 @@
+// note: this file is intentionally not transpiled so that native async/await is used
+
+async function inner(throwError) {
+	await null;
+	await null;
+	const err = new Error('oh no');
+	if (throwError) {
+		throw err;
+	}
+	return err.stack;
+}
+
+async function middle(throwError) {
+	await null;
+	return await inner(throwError);
+}
+
+module.exports = async function outer(throwError) {
+	await null;
+	return await middle(throwError);
+};
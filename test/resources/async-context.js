@@ -0,0 +1,9 @@
+// note: this file is intentionally not transpiled so that native async/await is used
+
+const ds = require('../../double-stack');
+
+module.exports = async function readContext() {
+	await null;
+	await Promise.resolve();
+	return ds.getContext();
+};
@@ -0,0 +1,9 @@
+const ds = require('../../double-stack');
+
+// only run when forked by the tests
+if (process.send) {
+	ds.install();
+	setTimeout(function throwError() {
+		throw new Error('oh no');
+	}, 0);
+}
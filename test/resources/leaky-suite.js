@@ -0,0 +1,13 @@
+// a mocha suite with the leak check hooks that is run by the tests in a separate mocha process
+if (process.env.DOUBLE_STACK_LEAKY_SUITE) {
+	const hooks = require('../../mocha').createMochaHooks();
+
+	beforeEach(hooks.beforeEach);
+	afterEach(hooks.afterEach);
+
+	it('leaks', () => {
+		setTimeout(function leakedTimer() {}, 500);
+	});
+
+	it('does not leak', () => {});
+}
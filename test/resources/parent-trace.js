@@ -0,0 +1,4 @@
+// only run when forked by the tests
+if (process.send) {
+	process.send(process.env.DOUBLE_STACK_PARENT_TRACE, () => process.disconnect());
+}
@@ -1,12 +1,165 @@
+const bindings = require('../bindings');
+const CallSite = require('../call-site');
 const ds = require('../double-stack');
+const LeakCheck = require('../leak-check');
+const mochaIntegration = require('../mocha');
+const childProcess = require('child_process');
+const dgram = require('dgram');
 const EventEmitter = require('events').EventEmitter;
 const fs = require('fs');
 const net = require('net');
+const os = require('os');
+const path = require('path');
 const spawn = require('child_process').spawn;
+const util = require('util');
+
+const originals = {
+	addListener:       EventEmitter.prototype.addListener,
+	emit:              process.emit,
+	listeners:         EventEmitter.prototype.listeners,
+	nextTick:          process.nextTick,
+	on:                EventEmitter.prototype.on,
+	prepareStackTrace: Error.prepareStackTrace,
+	Promise:           global.Promise,
+	removeListener:    EventEmitter.prototype.removeListener,
+	setImmediate:      global.setImmediate,
+	setInterval:       global.setInterval,
+	setTimeout:        global.setTimeout,
+	then:              Promise.prototype.then
+};
+
+ds.install();
+
+let supportsAsyncHooks = false;
+try {
+	require('async_hooks');
+	supportsAsyncHooks = true;
+} catch (e) {
+	// Node.js 7 and older
+}
+
+let workerThreads = null;
+try {
+	workerThreads = require('worker_threads');
+} catch (e) {
+	// Node.js 10.4 and older or Node.js 10 without --experimental-worker
+}
+
+// Node.js 12.17 and 13.7 added the uncaughtExceptionMonitor event
+const supportsExceptionMonitor = (() => {
+	const version = process.versions.node.split('.').map(Number);
+	return version[0] > 13 || (version[0] === 13 && version[1] >= 7) || (version[0] === 12 && version[1] >= 17);
+})();
+
+// V8 7.3 (Node.js 12) and newer include the awaiting async functions in the stack
+const supportsAsyncStackTraces = (() => {
+	const orig = Error.prepareStackTrace;
+	Error.prepareStackTrace = (error, stack) => stack;
+	const stack = new Error().stack;
+	Error.prepareStackTrace = orig;
+	return typeof stack[0].isAsync === 'function';
+})();
 
 const emptyFrame = ds.options.emptyFrame;
 
+describe('install', () => {
+	afterEach(() => {
+		ds.install();
+	});
+
+	it('should be installed', () => {
+		expect(ds.isInstalled()).to.be.true;
+		expect(Error.prepareStackTrace).to.be.a('function');
+		expect(global.Promise).to.not.equal(originals.Promise);
+		expect(global.setTimeout).to.not.equal(originals.setTimeout);
+		expect(EventEmitter.prototype.addListener).to.not.equal(originals.addListener);
+		expect(EventEmitter.prototype.on).to.equal(EventEmitter.prototype.addListener);
+	});
+
+	it('should restore the originals when uninstalled', () => {
+		ds.uninstall();
+		expect(ds.isInstalled()).to.be.false;
+		for (const name of [ 'addListener', 'listeners', 'on', 'removeListener' ]) {
+			expect(EventEmitter.prototype[name]).to.equal(originals[name]);
+		}
+		expect(Error.prepareStackTrace).to.equal(originals.prepareStackTrace);
+		expect(global.Promise).to.equal(originals.Promise);
+		expect(Promise.prototype.then).to.equal(originals.then);
+		expect(process.nextTick).to.equal(originals.nextTick);
+		expect(global.setImmediate).to.equal(originals.setImmediate);
+		expect(global.setInterval).to.equal(originals.setInterval);
+		expect(global.setTimeout).to.equal(originals.setTimeout);
+		expect(process.emit).to.equal(originals.emit);
+	});
+
+	it('should not capture long stacks when uninstalled', done => {
+		ds.uninstall();
+		setTimeout(() => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(1);
+			done();
+		}, 0);
+	});
+
+	it('should reinstall and capture long stacks', done => {
+		ds.uninstall();
+		ds.install();
+		setTimeout(() => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+			done();
+		}, 0);
+	});
+
+	it('should apply options when installing', () => {
+		ds.install({ asyncTraceLimit: 5 });
+		expect(ds.options.asyncTraceLimit).to.equal(5);
+		ds.options.asyncTraceLimit = 10;
+	});
+
+	it('should fail to install with an unknown option', () => {
+		expect(() => {
+			ds.install({ foo: 'bar' });
+		}).to.throw(TypeError, 'Unknown option "foo"');
+	});
+});
+
 describe('options', () => {
+	it('should get/set apis', () => {
+		expect(ds.options.apis).to.deep.equal({
+			childProcess: true,
+			EventEmitter: true,
+			fsWatch:      true,
+			net:          true,
+			nextTick:     true,
+			Promise:      true,
+			setImmediate: true,
+			setInterval:  true,
+			setTimeout:   true,
+			Worker:       true
+		});
+		ds.options.apis = { nextTick: false };
+		expect(ds.options.apis.nextTick).to.be.false;
+		expect(ds.options.apis.setTimeout).to.be.true;
+		expect(ds.options.isApiEnabled('nextTick')).to.be.false;
+		ds.options.apis = { nextTick: true };
+		expect(ds.options.isApiEnabled('nextTick')).to.be.true;
+	});
+
+	it('should fail to set apis', () => {
+		expect(() => {
+			ds.options.apis = null;
+		}).to.throw(TypeError);
+
+		expect(() => {
+			ds.options.apis = { foo: true };
+		}).to.throw(TypeError, 'Unknown api "foo"');
+
+		expect(() => {
+			ds.options.apis = { setTimeout: 'no' };
+		}).to.throw(TypeError);
+	});
+
 	it('should get/set async trace limit', () => {
 		expect(ds.options.asyncTraceLimit).to.equal(10);
 		ds.options.asyncTraceLimit = 5;
@@ -28,6 +181,105 @@ describe('options', () => {
 		}).to.throw(TypeError);
 	});
 
+	it('should get/set sampling', () => {
+		expect(ds.options.sampleInterval).to.equal(1);
+		expect(ds.options.sampleBudget).to.equal(0);
+		ds.options.sampleInterval = 10;
+		ds.options.sampleBudget = 100;
+		expect(ds.options.sampleInterval).to.equal(10);
+		expect(ds.options.sampleBudget).to.equal(100);
+		ds.options.sampleInterval = 1;
+		ds.options.sampleBudget = 0;
+	});
+
+	it('should fail to set sampling', () => {
+		expect(() => {
+			ds.options.sampleInterval = 0;
+		}).to.throw(TypeError);
+
+		expect(() => {
+			ds.options.sampleInterval = 'foo';
+		}).to.throw(TypeError);
+
+		expect(() => {
+			ds.options.sampleBudget = -1;
+		}).to.throw(TypeError);
+	});
+
+	it('should get/set maxRetainedFrames', () => {
+		expect(ds.options.maxRetainedFrames).to.equal(0);
+		ds.options.maxRetainedFrames = 1000;
+		expect(ds.options.maxRetainedFrames).to.equal(1000);
+		ds.options.maxRetainedFrames = 0;
+	});
+
+	it('should fail to set maxRetainedFrames', () => {
+		expect(() => {
+			ds.options.maxRetainedFrames = 'foo';
+		}).to.throw(TypeError);
+
+		expect(() => {
+			ds.options.maxRetainedFrames = -1;
+		}).to.throw(TypeError);
+	});
+
+	it('should get/set metadata', () => {
+		const fn = () => ({});
+		expect(ds.options.metadata).to.be.null;
+		ds.options.metadata = fn;
+		expect(ds.options.metadata).to.equal(fn);
+		ds.options.metadata = null;
+	});
+
+	it('should fail to set metadata', () => {
+		expect(() => {
+			ds.options.metadata = 'foo';
+		}).to.throw(TypeError, 'metadata must be a function or null');
+	});
+
+	it('should get/set propagateTraces', () => {
+		expect(ds.options.propagateTraces).to.be.false;
+		ds.options.propagateTraces = true;
+		expect(ds.options.propagateTraces).to.be.true;
+		ds.options.propagateTraces = false;
+	});
+
+	it('should fail to set propagateTraces', () => {
+		expect(() => {
+			ds.options.propagateTraces = 'yes';
+		}).to.throw(TypeError, 'propagateTraces must be a boolean');
+	});
+
+	it('should get/set renderCauses', () => {
+		const orig = ds.options.renderCauses;
+		const error = new Error();
+		Object.defineProperty(error, 'cause', { configurable: true, value: true, writable: true });
+		error.stack = 'Error';
+		expect(orig).to.equal(util.inspect(error).indexOf('[cause]') === -1);
+		ds.options.renderCauses = !orig;
+		expect(ds.options.renderCauses).to.equal(!orig);
+		ds.options.renderCauses = orig;
+	});
+
+	it('should fail to set renderCauses', () => {
+		expect(() => {
+			ds.options.renderCauses = 'yes';
+		}).to.throw(TypeError, 'renderCauses must be a boolean');
+	});
+
+	it('should get/set unhandledRejections', () => {
+		expect(ds.options.unhandledRejections).to.be.false;
+		ds.options.unhandledRejections = true;
+		expect(ds.options.unhandledRejections).to.be.true;
+		ds.options.unhandledRejections = false;
+	});
+
+	it('should fail to set unhandledRejections', () => {
+		expect(() => {
+			ds.options.unhandledRejections = 'yes';
+		}).to.throw(TypeError, 'unhandledRejections must be a boolean');
+	});
+
 	it('should get/set empty frame', () => {
 		const initial = emptyFrame;
 		const updated = '*************************************************';
@@ -37,6 +289,62 @@ describe('options', () => {
 		ds.options.emptyFrame = initial;
 	});
 
+	it('should get/set backend', () => {
+		expect(ds.options.backend).to.equal('wrap');
+		ds.options.backend = 'hooks';
+		expect(ds.options.backend).to.equal('hooks');
+		ds.options.backend = 'wrap';
+	});
+
+	it('should fail to set backend', () => {
+		expect(() => {
+			ds.options.backend = 'foo';
+		}).to.throw(TypeError);
+	});
+
+	it('should set empty frame to a function', () => {
+		const initial = emptyFrame;
+		const fn = boundary => `--- ${boundary.label} ---`;
+		ds.options.emptyFrame = fn;
+		expect(ds.options.emptyFrame).to.equal(fn);
+		ds.options.emptyFrame = initial;
+	});
+
+	it('should get/set collapse frames', () => {
+		expect(ds.options.collapseFrames).to.be.false;
+		ds.options.collapseFrames = true;
+		expect(ds.options.collapseFrames).to.be.true;
+		ds.options.collapseFrames = false;
+	});
+
+	it('should fail to set collapse frames', () => {
+		expect(() => {
+			ds.options.collapseFrames = 'foo';
+		}).to.throw(TypeError);
+	});
+
+	it('should get/set frame filters', () => {
+		const fn = () => true;
+		expect(ds.options.excludeFrames).to.deep.equal([]);
+		expect(ds.options.includeFrames).to.deep.equal([]);
+		ds.options.excludeFrames = [ '**/node_modules/**', /internal/ ];
+		ds.options.includeFrames = fn;
+		expect(ds.options.excludeFrames).to.deep.equal([ '**/node_modules/**', /internal/ ]);
+		expect(ds.options.includeFrames).to.deep.equal([ fn ]);
+		ds.options.excludeFrames = [];
+		ds.options.includeFrames = [];
+	});
+
+	it('should fail to set frame filters', () => {
+		expect(() => {
+			ds.options.excludeFrames = 123;
+		}).to.throw(TypeError);
+
+		expect(() => {
+			ds.options.includeFrames = [ '' ];
+		}).to.throw(TypeError);
+	});
+
 	it('should fail to set empty frame', () => {
 		expect(() => {
 			ds.options.emptyFrame = null;
@@ -143,6 +451,59 @@ describe('active handles', () => {
 		expect(handles.timers).to.include(this.intervalTimer);
 	});
 
+	it('should not get cleared timers', function () {
+		this.timeoutTimer = setTimeout(() => {}, 1000);
+		clearTimeout(this.timeoutTimer);
+
+		const handles = ds.getActiveHandles();
+		expect(handles.timers).to.not.include(this.timeoutTimer);
+	});
+
+	(supportsAsyncHooks ? it : it.skip)('should get active immediates', done => {
+		const queueImmediate = () => setImmediate(() => {
+			expect(ds.getActiveHandles().immediates).to.not.include(immediate);
+			done();
+		});
+		const immediate = queueImmediate();
+
+		const handles = ds.getActiveHandles();
+		expect(handles.immediates).to.include(immediate);
+		expect(handles.immediates[handles.immediates.indexOf(immediate)].__stack__[0].functionName).to.equal('queueImmediate');
+	});
+
+	(supportsAsyncHooks ? it : it.skip)('should get unref\'d timers, but not report them', function () {
+		const unrefTimer = () => setTimeout(() => {}, 1000).unref();
+		this.timeoutTimer = unrefTimer();
+
+		expect(ds.getActiveHandles().timers).to.include(this.timeoutTimer);
+
+		const report = ds.reportActiveHandles({ format: 'json' });
+		expect(report.groups.filter(group => /unrefTimer/.test(group.site))).to.have.lengthOf(0);
+
+		this.timeoutTimer.ref();
+		const refedReport = ds.reportActiveHandles({ format: 'json' });
+		expect(refedReport.groups.filter(group => /unrefTimer/.test(group.site))).to.have.lengthOf(1);
+	});
+
+	(supportsAsyncHooks ? it : it.skip)('should get signal listeners, but not report them', () => {
+		const initialSignalCount = ds.getActiveHandles().signals.length;
+		const initialReportCount = ds.reportActiveHandles({ format: 'json' }).types.signals;
+		const listener = () => {};
+
+		process.on('SIGUSR2', listener);
+		try {
+			const handles = ds.getActiveHandles();
+			expect(handles.signals).to.have.lengthOf(initialSignalCount + 1);
+			expect(handles.other.filter(handle => handle.constructor.name === 'Signal')).to.have.lengthOf(0);
+			expect(ds.describeHandle(handles.signals[initialSignalCount]).type).to.equal('Signal');
+			expect(ds.reportActiveHandles({ format: 'json' }).types.signals).to.equal(initialReportCount);
+		} finally {
+			process.removeListener('SIGUSR2', listener);
+		}
+
+		expect(ds.getActiveHandles().signals).to.have.lengthOf(initialSignalCount);
+	});
+
 	it('should get active servers', function (done) {
 		const handles = ds.getActiveHandles();
 		expect(handles.servers).to.have.lengthOf(0);
@@ -240,131 +601,763 @@ describe('active handles', () => {
 			}, 0);
 		});
 	});
-});
 
-describe('throw', () => {
-	beforeEach(function () {
-		this.timer = null;
-		this.interval = null;
-		this.asyncTraceLimit = ds.options.asyncTraceLimit;
+	it('should get active udp sockets', done => {
+		const socket = dgram.createSocket('udp4');
+		socket.bind(0, () => {
+			const handles = ds.getActiveHandles();
+			expect(handles.dgram).to.include(socket);
+			expect(handles.other).to.not.include(socket);
+			socket.close(done);
+		});
 	});
 
-	afterEach(function () {
-		ds.options.asyncTraceLimit = this.asyncTraceLimit;
-
-		if (this.timer) {
-			clearTimeout(this.timer);
-			this.timer = null;
-		}
+	it('should get active stat watchers', () => {
+		const listener = () => {};
+		fs.watchFile(__filename, listener);
 
-		if (this.interval) {
-			clearInterval(this.interval);
-			this.interval = null;
+		try {
+			const handles = ds.getActiveHandles();
+			expect(handles.statWatchers).to.have.lengthOf(1);
+		} finally {
+			fs.unwatchFile(__filename, listener);
 		}
 	});
 
-	it('should throw an error', () => {
-		expect(() => {
-			throw new Error('foo');
-		}).to.throw(Error);
+	it('should get child process pipes', done => {
+		const child = spawn(process.execPath, [ __dirname + '/resources/child.js' ]);
+		child.stdout.on('data', () => {});
+		child.stderr.on('data', () => {});
+
+		const handles = ds.getActiveHandles();
+		expect(handles.pipes).to.include(child.stdout);
+		expect(handles.pipes).to.include(child.stderr);
+		expect(handles.sockets).to.not.include(child.stdout);
+
+		child.on('close', () => done());
 	});
 
-	it('should throw error from other modules', done => {
-		fs.readFile('not_there.txt', (err, contents) => {
-			expect(err).to.be.an.instanceof(Error);
-			expect(err.stack).to.have.string('Error: ENOENT: no such file or directory, open \'not_there.txt\'');
-			done();
-		});
+	it('should get active requests', done => {
+		fs.stat(__filename, () => done());
+		const handles = ds.getActiveHandles();
+		expect(handles.requests).to.have.length.above(0);
 	});
 
-	it('should capture stack from function from a setTimeout()', done => {
-		function foo() {
-			bar();
-		}
+	(workerThreads ? it : it.skip)('should get active worker threads', done => {
+		const worker = (function startWorker() {
+			return new workerThreads.Worker('setTimeout(() => {}, 1000)', { eval: true });
+		}());
+		expect(worker).to.be.an.instanceof(workerThreads.Worker);
 
-		function bar() {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-			done();
-		}
+		let handles = ds.getActiveHandles();
+		expect(handles.workers).to.include(worker);
+		expect(worker.__stack__.some(frame => frame.functionName === 'startWorker')).to.be.true;
 
-		setTimeout(foo, 0);
+		worker.unref();
+		handles = ds.getActiveHandles();
+		expect(handles.workers).to.not.include(worker);
+
+		worker.on('exit', () => done());
+		worker.terminate();
 	});
 
-	it('should capture stack from function from a nextTick()', done => {
-		function foo() {
-			bar();
-		}
+	it('should embed the stack in servers and sockets', function (done) {
+		const listenServer = () => {
+			this.server = net.createServer(() => {});
+			this.server.listen('/tmp/test.sock', connectClient);
+		};
 
-		function bar() {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-			done();
-		}
+		const connectClient = () => {
+			expect(this.server.__stack__).to.be.an('array');
+			expect(this.server.__stack__.some(frame => frame.functionName === 'listenServer')).to.be.true;
 
-		process.nextTick(foo);
+			this.client = net.connect({ path: '/tmp/test.sock' }, () => {
+				expect(this.client.__stack__).to.be.an('array');
+				expect(this.client.__stack__.some(frame => frame.functionName === 'connectClient')).to.be.true;
+				done();
+			});
+		};
+
+		listenServer();
 	});
 
-	it('should not exceed trace limit', done => {
-		ds.options.asyncTraceLimit = 2;
-		let counter = 0;
+	it('should embed the stack in fs watchers', () => {
+		const watcher = (function watchCwd() {
+			return fs.watch(process.cwd());
+		}());
 
-		function foo() {
-			if (++counter > 3) {
-				const stack = new Error().stack;
-				expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-				return done();
-			}
-			setTimeout(foo, 0);
+		try {
+			expect(watcher.__stack__).to.be.an('array');
+			expect(watcher.__stack__.some(frame => frame.functionName === 'watchCwd')).to.be.true;
+		} finally {
+			watcher.close();
 		}
-
-		foo();
 	});
 
-	it('should pass arguments into setTimeout()', function (done) {
-		this.timer = setTimeout(function () {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-			expect(Array.prototype.slice.call(arguments)).to.deep.equal([1, 2, 3]);
-			done();
-		}, 0, 1, 2, 3);
+	it('should embed the stack in child processes', done => {
+		const child = (function spawnChild() {
+			return spawn(process.execPath, [ __dirname + '/resources/child.js' ]);
+		}());
+		child.stdout.on('data', () => {});
+		child.stderr.on('data', () => {});
 
-		expect(this.timer).to.be.ok;
-	});
+		expect(child.__stack__).to.be.an('array');
+		expect(child.__stack__.some(frame => frame.functionName === 'spawnChild')).to.be.true;
 
-	it('should pass arguments into setInterval()', function (done) {
-		let counter = 0;
+		child.on('close', () => done());
+	});
 
-		this.interval = setInterval(function () {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-			expect(Array.prototype.slice.call(arguments)).to.deep.equal([1, 2, 3]);
+	it('should report active handles grouped by creation site', () => {
+		const create = () => setTimeout(() => {}, 1000);
+		const timers = [ create(), create(), setTimeout(() => {}, 1000) ];
 
-			if (++counter >= 3) {
-				clearInterval(this.interval);
-				done();
-			}
-		}.bind(this), 100, 1, 2, 3);
+		try {
+			const report = ds.reportActiveHandles({ format: 'json' });
+			expect(report.total).to.be.at.least(3);
+			expect(report.types.timers).to.be.at.least(3);
+
+			const groups = report.groups.filter(group => group.type === 'timers' && /test\.js/.test(group.site));
+			expect(groups).to.have.lengthOf(2);
+			expect(groups[0].count).to.equal(2);
+			expect(groups[0].stack[0]).to.equal(groups[0].site);
+			expect(groups[1].count).to.equal(1);
+		} finally {
+			timers.forEach(timer => clearTimeout(timer));
+		}
+	});
 
-		expect(this.interval).to.be.ok;
+	it('should render the active handle report', function () {
+		this.timeoutTimer = setTimeout(() => {}, 1000);
+		const report = ds.reportActiveHandles();
+		expect(report).to.be.a('string');
+		expect(report).to.match(/^\d+ active handles? keeping the event loop alive/);
+		expect(report).to.match(/\ntimers \(\d+\)\n/);
+		expect(report).to.have.string('created at:');
 	});
 
-	it('should pass arguments into setImmediate()', function (done) {
-		setImmediate(function () {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-			expect(Array.prototype.slice.call(arguments)).to.deep.equal([1, 2, 3]);
-			done();
-		}, 1, 2, 3);
+	it('should fail to report active handles with an invalid format', () => {
+		expect(() => {
+			ds.reportActiveHandles({ format: 'xml' });
+		}).to.throw(TypeError, 'Expected format to be "text" or "json"');
 	});
 });
 
-describe('uncaught exceptions', () => {
-	beforeEach(function () {
-		this.domainListeners = null;
-		if (process.domain) {
-			this.domainListeners = process.domain.listeners('error');
-			process.domain.removeAllListeners('error');
+describe('handle descriptions', () => {
+	it('should describe a timeout', () => {
+		const timer = setTimeout(() => {}, 1000);
+		try {
+			const desc = ds.describeHandle(timer);
+			expect(desc.type).to.equal('Timeout');
+			expect(desc.delay).to.equal(1000);
+			expect(desc.repeat).to.be.null;
+			expect(desc.remaining).to.be.within(900, 1000);
+			expect(desc.refed).to.be.true;
+			expect(desc.description).to.match(/^setTimeout\(1000ms\) \d+ms remaining$/);
+
+			timer.unref();
+			expect(ds.describeHandle(timer).refed).to.be.false;
+			expect(ds.describeHandle(timer).description).to.match(/ unref'd$/);
+		} finally {
+			clearTimeout(timer);
+		}
+	});
+
+	it('should clamp the remaining time of a timeout', () => {
+		const timer = setTimeout(() => {}, 1000);
+		const start = timer._idleStart;
+		try {
+			// a timer that is past due
+			timer._idleStart = start - 5000;
+			expect(ds.describeHandle(timer).remaining).to.equal(0);
+			expect(ds.describeHandle(timer).description).to.equal('setTimeout(1000ms) 0ms remaining');
+
+			// a timer started ahead of the current time
+			timer._idleStart = start + 5000;
+			expect(ds.describeHandle(timer).remaining).to.equal(1000);
+		} finally {
+			timer._idleStart = start;
+			clearTimeout(timer);
+		}
+	});
+
+	it('should describe an interval', () => {
+		const timer = setInterval(() => {}, 500);
+		try {
+			const desc = ds.describeHandle(timer);
+			expect(desc.repeat).to.equal(500);
+			expect(desc.description).to.match(/^setInterval\(500ms\) /);
+		} finally {
+			clearInterval(timer);
+		}
+	});
+
+	it('should describe an immediate', () => {
+		const immediate = setImmediate(() => {});
+		try {
+			expect(ds.describeHandle(immediate)).to.deep.equal({ type: 'Immediate', description: 'setImmediate()', refed: true });
+		} finally {
+			clearImmediate(immediate);
+		}
+	});
+
+	it('should describe a server and its sockets', done => {
+		const server = net.createServer(conn => {
+			conn.end('hi');
+		});
+		server.listen(0, '127.0.0.1', () => {
+			const port = server.address().port;
+			expect(ds.describeHandle(server)).to.deep.equal({ type: 'Server', description: `Server listening on 127.0.0.1:${port}`, address: `127.0.0.1:${port}` });
+
+			const client = net.connect(port, '127.0.0.1', () => {
+				const desc = ds.describeHandle(client);
+				expect(desc.type).to.equal('Socket');
+				expect(desc.remoteAddress).to.equal('127.0.0.1');
+				expect(desc.remotePort).to.equal(port);
+				expect(desc.localPort).to.be.a('number');
+				expect(desc.description).to.equal(`Socket 127.0.0.1:${desc.localPort} -> 127.0.0.1:${port}, 0 bytes read, 0 bytes written`);
+			});
+			client.on('data', () => {});
+			client.on('end', () => {
+				expect(ds.describeHandle(client).bytesRead).to.equal(2);
+				client.destroy();
+				server.close(() => done());
+			});
+		});
+	});
+
+	it('should describe the local address of a socket using its own family', () => {
+		const socket = new net.Socket();
+		Object.defineProperties(socket, {
+			localAddress: { value: '::1' },
+			localPort: { value: 1234 },
+			remoteAddress: { value: '127.0.0.1' },
+			remoteFamily: { value: 'IPv4' },
+			remotePort: { value: 80 },
+			address: { value: () => ({ address: '::1', family: 'IPv6', port: 1234 }) }
+		});
+		expect(ds.describeHandle(socket).description).to.equal('Socket [::1]:1234 -> 127.0.0.1:80, 0 bytes read, 0 bytes written');
+	});
+
+	it('should describe a child process', done => {
+		const child = spawn(process.execPath, [ '-e', 'setTimeout(() => {}, 100)' ]);
+		const desc = ds.describeHandle(child);
+		expect(desc.type).to.equal('ChildProcess');
+		expect(desc.pid).to.equal(child.pid);
+		expect(desc.command).to.equal(process.execPath);
+		expect(desc.args).to.deep.equal([ '-e', 'setTimeout(() => {}, 100)' ]);
+		expect(desc.description).to.equal(`ChildProcess ${child.pid}: ${process.execPath} -e "setTimeout(() => {}, 100)"`);
+		child.on('close', () => done());
+	});
+
+	it('should describe an fs watcher', () => {
+		const watcher = fs.watch(__dirname);
+		try {
+			expect(ds.describeHandle(watcher)).to.deep.equal({ type: 'FSWatcher', description: `FSWatcher ${__dirname}`, path: __dirname });
+		} finally {
+			watcher.close();
+		}
+	});
+
+	it('should describe unknown handles by their constructor', () => {
+		class Thing {}
+		expect(ds.describeHandle(new Thing)).to.deep.equal({ type: 'Thing', description: 'Thing' });
+	});
+
+	it('should fail to describe a non-object', () => {
+		expect(() => {
+			ds.describeHandle(null);
+		}).to.throw(TypeError, 'Expected handle to be an object');
+	});
+
+	it('should list the handle descriptions in the report', () => {
+		const timer = setTimeout(() => {}, 12345);
+		try {
+			expect(ds.reportActiveHandles()).to.match(/\n {4}- setTimeout\(12345ms\) \d+ms remaining/);
+			const group = ds.reportActiveHandles({ format: 'json' }).groups.filter(group => group.handles.some(desc => desc.delay === 12345))[0];
+			expect(group.type).to.equal('timers');
+		} finally {
+			clearTimeout(timer);
+		}
+	});
+});
+
+describe('bindings', () => {
+	it('should detect internal handles', () => {
+		const watcher = fs.watch(__dirname);
+		try {
+			expect(bindings.isHandle(watcher._handle, 'fs_event_wrap', 'FSEvent')).to.be.true;
+			expect(bindings.isHandle(watcher._handle, 'pipe_wrap', 'Pipe')).to.be.false;
+		} finally {
+			watcher.close();
+		}
+	});
+
+	it('should not detect non-handles', () => {
+		expect(bindings.isHandle(null, 'pipe_wrap', 'Pipe')).to.be.false;
+		expect(bindings.isHandle('Pipe', 'pipe_wrap', 'Pipe')).to.be.false;
+		expect(bindings.isHandle({}, 'pipe_wrap', 'Pipe')).to.be.false;
+	});
+
+	it('should not use process.binding() on Node.js 11 or newer', () => {
+		const major = parseInt(process.versions.node.split('.')[0]);
+		if (major >= 11) {
+			expect(bindings.getBinding('timer_wrap')).to.be.null;
+			expect(bindings.getBinding('pipe_wrap')).to.be.null;
+		} else {
+			expect(bindings.getBinding('timer_wrap')).to.have.property('Timer');
+		}
+	});
+
+	it('should not emit deprecation warnings', done => {
+		const script = `require(${JSON.stringify(path.join(__dirname, '..', 'double-stack'))}).getActiveHandles()`;
+		const child = spawn(process.execPath, [ '--throw-deprecation', '-e', script ], { stdio: [ 'ignore', 'ignore', 'pipe' ] });
+		let stderr = '';
+		child.stderr.on('data', data => stderr += data);
+		child.on('close', code => {
+			expect(stderr).to.equal('');
+			expect(code).to.equal(0);
+			done();
+		});
+	});
+});
+
+describe('handle snapshots', () => {
+	it('should diff handles opened between two snapshots', () => {
+		const before = ds.snapshotHandles();
+		const timer = (function leakTimer() {
+			return setTimeout(() => {}, 1000);
+		}());
+		const watcher = fs.watch(process.cwd());
+
+		try {
+			const leaks = ds.diffHandles(before, ds.snapshotHandles());
+			expect(leaks).to.have.lengthOf(2);
+
+			const timerLeak = leaks.filter(leak => leak.handle === timer)[0];
+			expect(timerLeak.type).to.equal('timers');
+			expect(timerLeak.stack.some(frame => frame.functionName === 'leakTimer')).to.be.true;
+
+			const watcherLeak = leaks.filter(leak => leak.handle === watcher)[0];
+			expect(watcherLeak.type).to.equal('fsWatchers');
+			expect(watcherLeak.stack).to.have.length.above(0);
+		} finally {
+			clearTimeout(timer);
+			watcher.close();
+		}
+
+		expect(ds.diffHandles(before)).to.have.lengthOf(0);
+	});
+
+	it('should fail to diff invalid snapshots', () => {
+		expect(() => {
+			ds.diffHandles();
+		}).to.throw(TypeError, 'Expected before to be a snapshot');
+
+		expect(() => {
+			ds.diffHandles(ds.snapshotHandles(), 'foo');
+		}).to.throw(TypeError, 'Expected after to be a snapshot');
+	});
+});
+
+describe('leak check', () => {
+	it('should fail when a handle is leaked', () => {
+		const leakCheck = new LeakCheck();
+		leakCheck.start();
+		const timer = (function leakTimer() {
+			return setTimeout(() => {}, 1000);
+		}());
+
+		try {
+			expect(() => leakCheck.check()).to.throw(Error, /^Leaked 1 handle\n\ntimers created at:\n {4}at leakTimer /);
+		} finally {
+			clearTimeout(timer);
+		}
+	});
+
+	it('should pass when no handles are leaked', () => {
+		const leakCheck = new LeakCheck();
+		leakCheck.start();
+		clearTimeout(setTimeout(() => {}, 1000));
+		leakCheck.check();
+	});
+
+	it('should include the leaks in the error', () => {
+		const leakCheck = new LeakCheck();
+		leakCheck.start();
+		const timer = setTimeout(() => {}, 1000);
+
+		try {
+			leakCheck.check();
+			throw new Error('Expected check() to throw');
+		} catch (e) {
+			expect(e.leaks).to.have.lengthOf(1);
+			expect(e.leaks[0].handle).to.equal(timer);
+		} finally {
+			clearTimeout(timer);
+		}
+	});
+
+	it('should allow known long-lived handles', () => {
+		const timers = [];
+		const leakCheck = new LeakCheck({
+			allow: [
+				'allowedByString',
+				/allowedByRegExp/,
+				leak => leak.handle === timers[2]
+			]
+		});
+		leakCheck.start();
+
+		(function allowedByString() {
+			timers.push(setTimeout(() => {}, 1000));
+		}());
+		(function allowedByRegExp() {
+			timers.push(setTimeout(() => {}, 1000));
+		}());
+		timers.push(setTimeout(() => {}, 1000));
+
+		try {
+			leakCheck.check();
+		} finally {
+			timers.forEach(timer => clearTimeout(timer));
+		}
+	});
+
+	it('should fail with an invalid allowlist', () => {
+		expect(() => {
+			new LeakCheck({ allow: 'foo' });
+		}).to.throw(TypeError, 'Expected allow to be an array');
+
+		expect(() => {
+			new LeakCheck({ allow: [ 123 ] });
+		}).to.throw(TypeError, 'Expected allow entries to be strings, regular expressions, or functions');
+	});
+
+	it('should detect frames from a package', () => {
+		expect(LeakCheck.isFromPackage({ fileName: '/app/node_modules/mocha/lib/runnable.js' }, 'mocha')).to.be.true;
+		expect(LeakCheck.isFromPackage({ fileName: '/app/node_modules/jest-circus/build/utils.js' }, /^jest-/)).to.be.true;
+		expect(LeakCheck.isFromPackage({ library: 'mocha', count: 3 }, 'mocha')).to.be.true;
+		expect(LeakCheck.isFromPackage({ fileName: '/app/lib/mocha.js' }, 'mocha')).to.be.false;
+		expect(LeakCheck.isFromPackage(undefined, 'mocha')).to.be.false;
+	});
+
+	it('should create mocha root hooks', () => {
+		expect(mochaIntegration.mochaHooks).to.be.a('function');
+
+		const hooks = mochaIntegration.createMochaHooks();
+		expect(hooks.beforeEach).to.be.a('function');
+		expect(hooks.afterEach).to.be.a('function');
+
+		hooks.beforeEach();
+		const timer = setTimeout(() => {}, 1000);
+		try {
+			expect(() => hooks.afterEach()).to.throw(Error, /^Leaked 1 handle/);
+		} finally {
+			clearTimeout(timer);
+		}
+	});
+
+	it('should fail the leaking test without stopping the run', function (done) {
+		this.timeout(10000);
+		const child = spawn(process.execPath, [ require.resolve('mocha/bin/_mocha'), path.join(__dirname, 'resources', 'leaky-suite.js') ], {
+			env: Object.assign({}, process.env, { DOUBLE_STACK_LEAKY_SUITE: '1' })
+		});
+		let output = '';
+		child.stdout.on('data', data => output += data);
+		child.stderr.on('data', data => output += data);
+		child.on('close', code => {
+			expect(code).to.equal(1);
+			expect(output).to.have.string('1) leaks');
+			expect(output).to.match(/\d+\)\s+leaks:\s+(Error: )?Leaked 1 handle/);
+			expect(output).to.have.string('does not leak');
+			expect(output).to.not.have.string('"after each" hook');
+			done();
+		});
+	});
+
+	describe('jest setup file', () => {
+		const jestPath = require.resolve('../jest');
+
+		function loadJestSetup(config) {
+			const hooks = {};
+			const globals = {
+				afterEach: global.afterEach,
+				beforeEach: global.beforeEach,
+				doubleStackLeakCheck: global.doubleStackLeakCheck
+			};
+			global.afterEach = fn => hooks.afterEach = fn;
+			global.beforeEach = fn => hooks.beforeEach = fn;
+			global.doubleStackLeakCheck = config;
+			delete require.cache[jestPath];
+			try {
+				hooks.leakCheck = require('../jest');
+			} finally {
+				Object.assign(global, globals);
+				delete require.cache[jestPath];
+			}
+			return hooks;
+		}
+
+		it('should fail the test that leaked a handle', () => {
+			const hooks = loadJestSetup();
+			expect(hooks.leakCheck).to.be.an.instanceof(LeakCheck);
+
+			hooks.beforeEach();
+			hooks.afterEach();
+
+			hooks.beforeEach();
+			const timer = (function leakTimer() {
+				return setTimeout(() => {}, 1000);
+			}());
+			try {
+				expect(() => hooks.afterEach()).to.throw(Error, /^Leaked 1 handle\n\ntimers created at:\n {4}at leakTimer /);
+			} finally {
+				clearTimeout(timer);
+			}
+		});
+
+		it('should allow the handles in the jest global', () => {
+			const hooks = loadJestSetup({ allow: [ 'allowedTimer' ] });
+			hooks.beforeEach();
+			const timer = (function allowedTimer() {
+				return setTimeout(() => {}, 1000);
+			}());
+			try {
+				hooks.afterEach();
+			} finally {
+				clearTimeout(timer);
+			}
+		});
+
+		it('should fail to load outside of jest', function (done) {
+			this.timeout(10000);
+			const child = spawn(process.execPath, [ '-e', `require(${JSON.stringify(jestPath)})` ]);
+			let output = '';
+			child.stderr.on('data', data => output += data);
+			child.on('close', code => {
+				expect(code).to.equal(1);
+				expect(output).to.have.string('double-stack/dist/jest must be loaded as a Jest setup file');
+				done();
+			});
+		});
+	});
+});
+
+describe('hang watchdog', () => {
+	beforeEach(function () {
+		this.timer = setTimeout(function keepAlive() {}, 10000);
+	});
+
+	afterEach(function () {
+		clearTimeout(this.timer);
+	});
+
+	it('should report the active handles after the timeout', done => {
+		const output = [];
+		ds.watchForHang({ timeout: 10, output: { write: s => output.push(s) } }).done();
+
+		setTimeout(() => {
+			expect(output).to.have.lengthOf(1);
+			expect(output[0]).to.have.string('The process did not exit within 10ms after it was done');
+			expect(output[0]).to.match(/\ntimers \(\d+\)\n/);
+			done();
+		}, 50);
+	});
+
+	it('should write the json report to a file', done => {
+		const file = path.join(os.tmpdir(), `double-stack-hang-${process.pid}-${Date.now()}.json`);
+		ds.watchForHang({ timeout: 0, output: file, format: 'json' }).done();
+
+		setTimeout(() => {
+			try {
+				const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+				expect(report.types.timers).to.be.at.least(1);
+				expect(report.groups).to.be.an('array');
+				done();
+			} finally {
+				if (fs.existsSync(file)) {
+					fs.unlinkSync(file);
+				}
+			}
+		}, 50);
+	});
+
+	it('should exit with the exit code', done => {
+		const exit = stub(process, 'exit');
+		ds.watchForHang({ timeout: 0, output: { write() {} }, exitCode: 7 }).done();
+
+		setTimeout(() => {
+			expect(exit).to.have.been.calledWith(7);
+			done();
+		}, 50);
+	});
+
+	it('should not report when stopped', done => {
+		const output = [];
+		ds.watchForHang({ timeout: 10, output: { write: s => output.push(s) } }).done().stop();
+
+		setTimeout(() => {
+			expect(output).to.have.lengthOf(0);
+			done();
+		}, 50);
+	});
+
+	it('should start when the trigger settles', done => {
+		const output = [];
+		ds.watchForHang({ timeout: 0, output: { write: s => output.push(s) }, trigger: Promise.reject(new Error()) });
+
+		setTimeout(() => {
+			expect(output).to.have.lengthOf(1);
+			done();
+		}, 50);
+	});
+
+	it('should fail with invalid options', () => {
+		expect(() => {
+			ds.watchForHang({ timeout: 'foo' });
+		}).to.throw(TypeError, 'Expected timeout to be a positive number or zero');
+
+		expect(() => {
+			ds.watchForHang({ output: 123 });
+		}).to.throw(TypeError, 'Expected output to be a file path or a writable stream');
+
+		expect(() => {
+			ds.watchForHang({ format: 'xml' });
+		}).to.throw(TypeError, 'Expected format to be "text" or "json"');
+
+		expect(() => {
+			ds.watchForHang({ exitCode: 'foo' });
+		}).to.throw(TypeError, 'Expected exitCode to be an integer');
+
+		expect(() => {
+			ds.watchForHang({ trigger: 'foo' });
+		}).to.throw(TypeError, 'Expected trigger to be a promise');
+	});
+});
+
+describe('throw', () => {
+	beforeEach(function () {
+		this.timer = null;
+		this.interval = null;
+		this.asyncTraceLimit = ds.options.asyncTraceLimit;
+	});
+
+	afterEach(function () {
+		ds.options.asyncTraceLimit = this.asyncTraceLimit;
+
+		if (this.timer) {
+			clearTimeout(this.timer);
+			this.timer = null;
+		}
+
+		if (this.interval) {
+			clearInterval(this.interval);
+			this.interval = null;
+		}
+	});
+
+	it('should throw an error', () => {
+		expect(() => {
+			throw new Error('foo');
+		}).to.throw(Error);
+	});
+
+	it('should throw error from other modules', done => {
+		fs.readFile('not_there.txt', (err, contents) => {
+			expect(err).to.be.an.instanceof(Error);
+			expect(err.stack).to.have.string('Error: ENOENT: no such file or directory, open \'not_there.txt\'');
+			done();
+		});
+	});
+
+	it('should capture stack from function from a setTimeout()', done => {
+		function foo() {
+			bar();
+		}
+
+		function bar() {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+			done();
+		}
+
+		setTimeout(foo, 0);
+	});
+
+	it('should capture stack from function from a nextTick()', done => {
+		function foo() {
+			bar();
+		}
+
+		function bar() {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+			done();
+		}
+
+		process.nextTick(foo);
+	});
+
+	it('should not exceed trace limit', done => {
+		ds.options.asyncTraceLimit = 2;
+		let counter = 0;
+
+		function foo() {
+			if (++counter > 3) {
+				const stack = new Error().stack;
+				expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+				return done();
+			}
+			setTimeout(foo, 0);
+		}
+
+		foo();
+	});
+
+	it('should pass arguments into setTimeout()', function (done) {
+		this.timer = setTimeout(function () {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+			expect(Array.prototype.slice.call(arguments)).to.deep.equal([1, 2, 3]);
+			done();
+		}, 0, 1, 2, 3);
+
+		expect(this.timer).to.be.ok;
+	});
+
+	it('should pass arguments into setInterval()', function (done) {
+		let counter = 0;
+
+		this.interval = setInterval(function () {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+			expect(Array.prototype.slice.call(arguments)).to.deep.equal([1, 2, 3]);
+
+			if (++counter >= 3) {
+				clearInterval(this.interval);
+				done();
+			}
+		}.bind(this), 100, 1, 2, 3);
+
+		expect(this.interval).to.be.ok;
+	});
+
+	it('should pass arguments into setImmediate()', function (done) {
+		setImmediate(function () {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+			expect(Array.prototype.slice.call(arguments)).to.deep.equal([1, 2, 3]);
+			done();
+		}, 1, 2, 3);
+	});
+});
+
+describe('uncaught exceptions', () => {
+	beforeEach(function () {
+		this.domainListeners = null;
+		if (process.domain) {
+			this.domainListeners = process.domain.listeners('error');
+			process.domain.removeAllListeners('error');
 		}
 
 		this.uncaughtListeners = process.listeners('uncaughtException');
@@ -372,251 +1365,1526 @@ describe('uncaught exceptions', () => {
 	});
 
 	afterEach(function () {
-		if (process.domain && this.domainListeners) {
-			this.domainListeners.forEach(listener => process.domain.on('error', listener));
+		if (process.domain && this.domainListeners) {
+			this.domainListeners.forEach(listener => process.domain.on('error', listener));
+		}
+
+		process.removeAllListeners('uncaughtException');
+		if (this.uncaughtListeners) {
+			this.uncaughtListeners.forEach(listener => process.on('uncaughtException', listener));
+		}
+	});
+
+	it('should throw an error from a setTimeout()', done => {
+		process.once('uncaughtException', error => {
+			const stack = error.stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+			done();
+		});
+
+		function foo() {
+			throw new Error('foo');
+		}
+
+		setTimeout(foo, 0);
+	});
+});
+
+describe('unhandled rejections', () => {
+	afterEach(() => {
+		ds.install({ unhandledRejections: false });
+	});
+
+	it('should render where the rejected promise was created', () => {
+		const createPromise = () => new Promise(() => {});
+		const report = ds.formatUnhandledRejection(new Error('oh no'), createPromise());
+		expect(report).to.match(/^Unhandled promise rejection: Error: oh no\n {4}at /);
+		expect(report).to.match(/\n\nPromise created at:\n {4}at createPromise /);
+		expect(report).to.not.have.string('attached at');
+	});
+
+	it('should render where the orphaned then() was attached', () => {
+		const createPromise = () => new Promise(() => {});
+		const attachThen = promise => promise.then(() => {});
+		const report = ds.formatUnhandledRejection(new Error('oh no'), attachThen(attachThen(createPromise())));
+		expect(report).to.match(/\n\nPromise created at:\n {4}at createPromise /);
+		expect(report).to.match(/\n\n\.then\(\) attached at:\n {4}at attachThen /);
+	});
+
+	it('should render where the orphaned catch() was attached', () => {
+		const createPromise = () => new Promise(() => {});
+		const attachCatch = promise => promise.catch(() => {});
+		const report = ds.formatUnhandledRejection(new Error('oh no'), attachCatch(createPromise()));
+		expect(report).to.match(/\n\n\.catch\(\) attached at:\n {4}at attachCatch /);
+	});
+
+	it('should render a reason that is not an error', () => {
+		expect(ds.formatUnhandledRejection('foo', {})).to.equal('Unhandled promise rejection: \'foo\'\n\nPromise created at an unknown location');
+	});
+
+	it('should only listen for unhandled rejections when enabled', () => {
+		const count = process.listenerCount('unhandledRejection');
+		ds.install({ unhandledRejections: true });
+		expect(process.listenerCount('unhandledRejection')).to.equal(count + 1);
+		ds.install({ unhandledRejections: true });
+		expect(process.listenerCount('unhandledRejection')).to.equal(count + 1);
+		ds.install({ unhandledRejections: false });
+		expect(process.listenerCount('unhandledRejection')).to.equal(count);
+	});
+
+	it('should report unhandled rejections and set the exit code', done => {
+		const script = [
+			`require(${JSON.stringify(path.join(__dirname, '..', 'double-stack'))}).install({ unhandledRejections: true });`,
+			'function createPromise() { return Promise.resolve(); }',
+			'function attachThen(promise) { return promise.then(() => { throw new Error(\'oh no\'); }); }',
+			'attachThen(createPromise());'
+		].join('\n');
+		const child = spawn(process.execPath, [ '-e', script ], { stdio: [ 'ignore', 'ignore', 'pipe' ] });
+		let stderr = '';
+		child.stderr.on('data', data => stderr += data);
+		child.on('close', code => {
+			expect(stderr).to.match(/^Unhandled promise rejection: Error: oh no\n/);
+			expect(stderr).to.match(/\n\nPromise created at:\n {4}at createPromise /);
+			expect(stderr).to.match(/\n\n\.then\(\) attached at:\n {4}at attachThen /);
+			expect(code).to.equal(1);
+			done();
+		});
+	});
+});
+
+describe('EventEmitter', () => {
+	it('should emit an event', () => {
+		const emitter = new EventEmitter;
+		const callback = sinon.spy(() => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+		});
+		expect(emitter.on('foo', callback)).to.equal(emitter);
+		emitter.on('foo', callback);
+		emitter.on('foo', callback);
+		emitter.emit('foo');
+		expect(callback.calledThrice).to.be.true;
+	});
+
+	it('should emit an event once', () => {
+		const emitter = new EventEmitter;
+		const callback = sinon.spy(() => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+		});
+		expect(emitter.once('foo', callback)).to.equal(emitter);
+		emitter.emit('foo');
+		emitter.emit('foo');
+		expect(callback.calledOnce).to.be.true;
+	});
+
+	it('should emit an event and capture stack from setTimeout()', done => {
+		const emitter = new EventEmitter;
+		const callback = sinon.spy(() => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+		});
+		emitter.on('foo', callback);
+		setTimeout(() => {
+			emitter.emit('foo');
+			expect(callback.calledOnce).to.be.true;
+			done();
+		}, 100);
+	});
+
+	it('should emit an event once and capture stack from setTimeout()', done => {
+		const emitter = new EventEmitter;
+		const callback = sinon.spy(() => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+		});
+		emitter.once('foo', callback);
+		setTimeout(() => {
+			emitter.emit('foo');
+			expect(callback.calledOnce).to.be.true;
+			done();
+		}, 100);
+	});
+
+	it('should listen and emit an event and capture stack from setTimeout()', done => {
+		const emitter = new EventEmitter;
+		const callback = sinon.spy(() => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(3);
+		});
+		setTimeout(() => {
+			emitter.on('foo', callback);
+		}, 0);
+		setTimeout(() => {
+			emitter.emit('foo');
+			expect(callback.calledOnce).to.be.true;
+			done();
+		}, 100);
+	});
+
+	it('should listen and emit an event and capture stack from setTimeout()', done => {
+		const emitter = new EventEmitter;
+		const callback = sinon.spy(() => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(3);
+		});
+		setTimeout(() => {
+			emitter.once('foo', callback);
+		}, 0);
+		setTimeout(() => {
+			emitter.emit('foo');
+			expect(callback.calledOnce).to.be.true;
+			done();
+		}, 100);
+	});
+
+	it('should return get listeners', () => {
+		function foo1() {}
+		function foo2() {}
+
+		const emitter = new EventEmitter;
+		emitter.on('foo', foo1);
+		emitter.on('foo', foo2);
+
+		const listeners = emitter.listeners('foo');
+		expect(listeners).to.have.lengthOf(2);
+		expect(listeners[0]).to.equal(foo1);
+		expect(listeners[1]).to.equal(foo2);
+	});
+
+	it('should remove listener', () => {
+		function foo() {}
+		const emitter = new EventEmitter;
+		emitter.on('foo', foo);
+
+		let listeners = emitter.listeners('foo');
+		expect(listeners).to.have.lengthOf(1);
+		expect(listeners[0]).to.equal(foo);
+
+		expect(emitter.removeListener('foo', foo)).to.equal(emitter);
+		listeners = emitter.listeners('foo');
+		expect(listeners).to.have.lengthOf(0);
+	});
+});
+
+describe('Promises', () => {
+	it('should resolve a promise', done => {
+		const promise = new Promise((resolve, reject) => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+			resolve('foo');
+		});
+
+		expect(promise).to.have.property('__stack__');
+		expect(promise.__stack__).to.be.an.instanceof(Array);
+
+		promise
+			.then(result => {
+				expect(result).to.equal('foo');
+				const stack = new Error().stack;
+				expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+				done();
+			})
+			.catch(err => {
+				done(err);
+			});
+	});
+
+	it('should resolve a deferred promise', done => {
+		const promise = new Promise((resolve, reject) => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+			resolve('foo');
+		});
+
+		setTimeout(() => {
+			promise
+				.then(result => {
+					expect(result).to.equal('foo');
+					const stack = new Error().stack;
+					expect(stack.split(emptyFrame)).to.have.lengthOf(3);
+					done();
+				})
+				.catch(err => {
+					done(err);
+				});
+		}, 0);
+	});
+
+	it('should catch a rejection', done => {
+		const promise = new Promise((resolve, reject) => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+			reject(new Error('oh no'));
+		});
+
+		promise
+			.then(() => {
+				done(new Error('Reject was not caught'));
+			})
+			.catch(err => {
+				expect(err.message).to.equal('oh no');
+				const stack = new Error().stack;
+				expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+				done();
+			});
+	});
+
+	it('should catch an error', done => {
+		const promise = new Promise((resolve, reject) => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+			throw new Error('oh no');
+		});
+
+		promise
+			.then(() => {
+				done(new Error('Reject was not caught'));
+			})
+			.catch(err => {
+				expect(err.message).to.equal('oh no');
+				const stack = new Error().stack;
+				expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+				done();
+			});
+	});
+
+	it('should resolve a promise chain', done => {
+		Promise.resolve('foo')
+			.then(result => {
+				expect(result).to.equal('foo');
+				const stack = new Error().stack;
+				expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+				done();
+			})
+			.catch(err => {
+				done(err);
+			});
+	});
+
+	it('should reject a promise chain', done => {
+		Promise.reject(new Error('oh no'))
+			.then(() => {
+				done(new Error('Reject was not caught'));
+			})
+			.catch(err => {
+				expect(err.message).to.equal('oh no');
+				const stack = new Error().stack;
+				expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+				done();
+			});
+	});
+});
+
+describe('getLongStack', () => {
+	it('should fail if not an error', () => {
+		expect(() => {
+			ds.getLongStack('foo');
+		}).to.throw(TypeError, 'Expected error to be an Error object');
+	});
+
+	it('should return a single segment for a synchronous error', function testFunction() {
+		const segments = ds.getLongStack(new Error('foo'));
+		expect(segments).to.have.lengthOf(1);
+		expect(segments[0].api).to.be.null;
+		expect(segments[0].id).to.be.null;
+		expect(segments[0].depth).to.be.null;
+		expect(segments[0].frames[0].functionName).to.equal('testFunction');
+	});
+
+	it('should return the segments for nested async calls', function testFunction(done) {
+		setTimeout(function timeoutCallback() {
+			process.nextTick(function tickCallback() {
+				Promise.resolve().then(function thenCallback() {
+					const segments = ds.getLongStack(new Error('foo'));
+					expect(segments).to.have.lengthOf(4);
+
+					expect(segments[0].api).to.be.null;
+					expect(segments[0].frames[0].functionName).to.equal('thenCallback');
+
+					expect(segments[1].api).to.equal('then');
+					expect(segments[1].id).to.be.a('number');
+					expect(segments[1].depth).to.equal(3);
+					expect(segments[1].frames[0].functionName).to.equal('tickCallback');
+
+					expect(segments[2].api).to.equal('nextTick');
+					expect(segments[2].depth).to.equal(2);
+					expect(segments[2].frames[0].functionName).to.equal('timeoutCallback');
+
+					expect(segments[3].api).to.equal('setTimeout');
+					expect(segments[3].depth).to.equal(1);
+					expect(segments[3].frames[0].functionName).to.equal('testFunction');
+
+					const frame = segments[3].frames[0];
+					expect(frame).to.have.all.keys('fileName', 'scriptName', 'evalOrigin', 'typeName', 'functionName', 'methodName', 'lineNumber', 'columnNumber', 'isToplevel', 'isEval', 'isNative', 'isConstructor', 'toString');
+					expect(frame.fileName).to.match(/test\.js$/);
+					done();
+				}).catch(done);
+			});
+		}, 0);
+	});
+
+	it('should return the same segments as the rendered stack', done => {
+		const emitter = new EventEmitter;
+		emitter.on('foo', () => {
+			const error = new Error('foo');
+			const stack = error.stack;
+			const segments = ds.getLongStack(error);
+			expect(segments).to.have.lengthOf(stack.split(emptyFrame).length);
+			expect(segments[1].api).to.equal('addListener');
+			done();
+		});
+		emitter.emit('foo');
+	});
+});
+
+describe('boundary labels', () => {
+	afterEach(() => {
+		ds.options.emptyFrame = emptyFrame;
+	});
+
+	it('should label a setTimeout() boundary using a template', done => {
+		ds.options.emptyFrame = '--- {label} ---';
+		setTimeout(() => {
+			const stack = new Error().stack;
+			expect(stack).to.have.string('\n--- setTimeout(100ms) ---\n');
+			done();
+		}, 100);
+	});
+
+	it('should label an EventEmitter boundary using a template', () => {
+		ds.options.emptyFrame = '--- {label} ---';
+		const emitter = new EventEmitter;
+		let stack = null;
+		emitter.on('data', () => {
+			stack = new Error().stack;
+		});
+		emitter.emit('data');
+		expect(stack).to.have.string('\n--- emitter.on(\'data\') ---\n');
+	});
+
+	it('should render the api, id, and depth placeholders', done => {
+		ds.options.emptyFrame = '[{api}#{id}@{depth}]';
+		process.nextTick(() => {
+			const stack = new Error().stack;
+			expect(stack).to.match(/\n\[nextTick#\d+@1\]\n/);
+			done();
+		});
+	});
+
+	it('should label boundaries using a function', done => {
+		const boundaries = [];
+		ds.options.emptyFrame = boundary => {
+			boundaries.push(boundary);
+			return `--- ${boundary.label} ---`;
+		};
+		setInterval(function () {
+			clearInterval(this);
+			Promise.resolve().then(() => {
+				const stack = new Error().stack;
+				expect(stack).to.have.string('\n--- promise.then() ---\n');
+				expect(stack).to.have.string('\n--- setInterval(10ms) ---\n');
+				expect(boundaries).to.have.lengthOf(2);
+				expect(boundaries[0].api).to.equal('then');
+				expect(boundaries[1].api).to.equal('setInterval');
+				expect(boundaries[1].delay).to.equal(10);
+				done();
+			}).catch(done);
+		}, 10);
+	});
+
+	it('should include the label in the long stack segments', () => {
+		const emitter = new EventEmitter;
+		let segments = null;
+		emitter.once('foo', () => {
+			segments = ds.getLongStack(new Error());
+		});
+		emitter.emit('foo');
+		expect(segments[1].label).to.equal('emitter.on(\'foo\')');
+	});
+});
+
+describe('frame filtering', () => {
+	afterEach(() => {
+		ds.options.collapseFrames = false;
+		ds.options.excludeFrames = [];
+		ds.options.includeFrames = [];
+	});
+
+	it('should exclude frames matching a glob', () => {
+		ds.options.excludeFrames = '**/node_modules/**';
+		const stack = new Error().stack;
+		expect(stack).to.have.string('test.js');
+		expect(stack).to.not.have.string('node_modules');
+	});
+
+	it('should exclude frames matching a regular expression', () => {
+		ds.options.excludeFrames = [ /mocha/ ];
+		const stack = new Error().stack;
+		expect(stack).to.not.have.string('mocha');
+	});
+
+	it('should only include frames matching a function', () => {
+		ds.options.includeFrames = frame => /test\.js$/.test(frame.getFileName());
+		const stack = new Error().stack;
+		const lines = stack.split('\n').slice(1);
+		expect(lines).to.have.length.above(0);
+		for (const line of lines) {
+			expect(line).to.match(/test\.js:\d+:\d+\)?$/);
+		}
+	});
+
+	it('should filter the frames in every async segment', done => {
+		ds.options.excludeFrames = '**/node_modules/**';
+		setImmediate(() => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+			expect(stack).to.not.have.string('node_modules');
+			done();
+		});
+	});
+
+	it('should collapse consecutive library frames', () => {
+		ds.options.collapseFrames = true;
+		const stack = new Error().stack;
+		expect(stack).to.match(/\n {4}\.\.\. \d+ frames in mocha \.\.\.(\n|$)/);
+	});
+
+	it('should filter and collapse embedded stacks', function (done) {
+		ds.options.collapseFrames = true;
+		ds.options.excludeFrames = '**/runner.js';
+		const timer = setTimeout(done, 0);
+		const collapsed = timer.__stack__.filter(frame => frame.library);
+		expect(collapsed).to.have.length.above(0);
+		expect(collapsed[0].library).to.equal('mocha');
+		expect(collapsed[0].count).to.be.above(1);
+		expect(collapsed[0].toString()).to.match(/^\.\.\. \d+ frames in mocha \.\.\.$/);
+		expect(timer.__stack__.filter(frame => /runner\.js$/.test(frame.fileName))).to.have.lengthOf(0);
+	});
+});
+
+describe('repeated segments', () => {
+	beforeEach(function () {
+		this.asyncTraceLimit = ds.options.asyncTraceLimit;
+	});
+
+	afterEach(function () {
+		ds.options.asyncTraceLimit = this.asyncTraceLimit;
+	});
+
+	it('should fold a polling loop into a single segment', done => {
+		let counter = 0;
+
+		function poll() {
+			if (++counter > 8) {
+				const stack = new Error().stack;
+				const segments = stack.split(emptyFrame);
+				expect(segments).to.have.lengthOf(3);
+				expect(segments[1]).to.have.string('[previous segment repeated 6 times]');
+				expect(segments[2]).to.not.have.string('repeated');
+				return done();
+			}
+			setTimeout(poll, 0);
 		}
 
-		process.removeAllListeners('uncaughtException');
-		if (this.uncaughtListeners) {
-			this.uncaughtListeners.forEach(listener => process.on('uncaughtException', listener));
+		poll();
+	});
+
+	it('should spend the trace limit on distinct segments', function testFunction(done) {
+		ds.options.asyncTraceLimit = 3;
+		let counter = 0;
+
+		function poll() {
+			if (++counter > 20) {
+				const segments = ds.getLongStack(new Error());
+				expect(segments).to.have.lengthOf(3);
+				expect(segments[1].repeats).to.equal(18);
+				expect(segments[2].repeats).to.equal(0);
+				expect(segments[2].frames[1].functionName).to.equal('testFunction');
+				return done();
+			}
+			setImmediate(poll);
+		}
+
+		poll();
+	});
+
+	it('should not fold segments scheduled from different places by the same callback', function testFunction(done) {
+		let counter = 0;
+
+		function poll() {
+			if (++counter > 4) {
+				const segments = ds.getLongStack(new Error());
+				expect(segments[1].repeats).to.equal(1);
+				expect(segments[2].frames[0].functionName).to.equal('poll');
+				expect(segments[2].frames[0].lineNumber).to.not.equal(segments[1].frames[0].lineNumber);
+				expect(segments[2].repeats).to.equal(0);
+				expect(segments[3].frames[1].functionName).to.equal('testFunction');
+				return done();
+			}
+			if (counter > 2) {
+				setTimeout(poll, 0);
+			} else {
+				setTimeout(poll, 0);
+			}
+		}
+
+		poll();
+	});
+
+	it('should not fold segments created by different calls', done => {
+		setTimeout(function a() {
+			setTimeout(function b() {
+				const stack = new Error().stack;
+				expect(stack.split(emptyFrame)).to.have.lengthOf(3);
+				expect(stack).to.not.have.string('repeated');
+				done();
+			}, 0);
+		}, 0);
+	});
+});
+
+describe('disabled apis', () => {
+	afterEach(() => {
+		ds.options.apis = {
+			childProcess: true,
+			EventEmitter: true,
+			fsWatch:      true,
+			net:          true,
+			nextTick:     true,
+			Promise:      true,
+			setImmediate: true,
+			setInterval:  true,
+			setTimeout:   true,
+			Worker:       true
+		};
+	});
+
+	it('should not capture stack from a disabled nextTick()', done => {
+		ds.options.apis = { nextTick: false };
+		process.nextTick(() => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(1);
+			done();
+		});
+	});
+
+	it('should capture stack from an enabled setTimeout() when nextTick() is disabled', done => {
+		ds.options.apis = { nextTick: false };
+		setTimeout(() => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+			done();
+		}, 0);
+	});
+
+	it('should not wrap listeners when EventEmitter is disabled', () => {
+		ds.options.apis = { EventEmitter: false };
+		const emitter = new EventEmitter;
+		function foo() {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(1);
+		}
+		emitter.on('foo', foo);
+		expect(emitter.rawListeners ? emitter.rawListeners('foo')[0] : emitter._events.foo).to.equal(foo);
+		emitter.emit('foo');
+		expect(emitter.removeListener('foo', foo)).to.equal(emitter);
+		expect(emitter.listeners('foo')).to.have.lengthOf(0);
+	});
+
+	it('should create promises when Promise is disabled', () => {
+		ds.options.apis = { Promise: false };
+		const promise = new Promise(resolve => resolve('foo'));
+		expect(promise).to.be.an.instanceof(Promise);
+		expect(promise).to.not.have.property('__stack__');
+		return promise.then(result => {
+			expect(result).to.equal('foo');
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(1);
+		});
+	});
+
+	it('should not embed the stack in timers when disabled', () => {
+		ds.options.apis = { setTimeout: false, setInterval: false, setImmediate: false };
+		const timer = setTimeout(() => {}, 0);
+		clearTimeout(timer);
+		expect(timer).to.not.have.property('__stack__');
+	});
+
+	it('should not embed the stack in fs watchers when disabled', () => {
+		ds.options.apis = { fsWatch: false };
+		const watcher = fs.watch(process.cwd());
+		watcher.close();
+		expect(watcher).to.not.have.property('__stack__');
+	});
+});
+
+describe('sampling', () => {
+	afterEach(() => {
+		ds.options.sampleInterval = 1;
+		ds.options.sampleBudget = 0;
+	});
+
+	it('should only capture 1 in N traces', () => {
+		ds.options.sampleInterval = 4;
+		const timers = [];
+		for (let i = 0; i < 8; i++) {
+			timers.push(setTimeout(() => {}, 1000));
+		}
+		timers.forEach(timer => clearTimeout(timer));
+		expect(timers.filter(timer => timer.__stack__)).to.have.lengthOf(2);
+	});
+
+	it('should only capture the traces within the budget', () => {
+		ds.options.sampleBudget = 3;
+		const timers = [];
+		for (let i = 0; i < 8; i++) {
+			timers.push(setTimeout(() => {}, 1000));
+		}
+		timers.forEach(timer => clearTimeout(timer));
+		expect(timers.filter(timer => timer.__stack__).length).to.be.at.most(3);
+	});
+
+	(supportsAsyncHooks ? it : it.skip)('should only sample a promise chain once per call to then()', () => {
+		const promise = Promise.resolve();
+		ds.options.sampleInterval = 2;
+		const promises = [];
+		for (let i = 0; i < 8; i++) {
+			promises.push(promise.then(() => {}));
+		}
+		expect(promises.filter(p => p.__stack__)).to.have.lengthOf(4);
+	});
+
+	it('should capture every descendant of a sampled trace', done => {
+		ds.options.sampleBudget = 1;
+		ds.alwaysTrace(() => {
+			setTimeout(() => {
+				setImmediate(() => {
+					process.nextTick(() => {
+						const stack = new Error().stack;
+						expect(stack.split(emptyFrame)).to.have.lengthOf(4);
+						done();
+					});
+				});
+			}, 0);
+		});
+	});
+
+	it('should always trace regardless of sampling', done => {
+		ds.options.sampleInterval = 1000000;
+		setTimeout(() => {
+			const stack = new Error().stack;
+			expect(stack.split(emptyFrame)).to.have.lengthOf(1);
+
+			ds.alwaysTrace(() => {
+				setTimeout(() => {
+					const stack = new Error().stack;
+					expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+					done();
+				}, 0);
+			});
+		}, 0);
+	});
+
+	it('should sample each call of a listener', () => {
+		const emitter = new EventEmitter;
+		const stacks = [];
+		emitter.on('data', () => {
+			stacks.push(new Error().stack);
+		});
+
+		ds.options.sampleInterval = 1000000;
+		emitter.emit('data');
+		emitter.emit('data');
+		expect(stacks).to.have.lengthOf(2);
+		expect(stacks.filter(stack => stack.indexOf(emptyFrame) !== -1)).to.have.lengthOf(0);
+
+		// a listener called while a trace is active is still traced
+		ds.alwaysTrace(() => emitter.emit('data'));
+		expect(stacks[2]).to.have.string(emptyFrame);
+	});
+
+	it('should sample each call of an interval', done => {
+		let count = 0;
+		const interval = setInterval(() => {
+			expect(new Error().stack).to.not.have.string(emptyFrame);
+			if (++count === 2) {
+				clearInterval(interval);
+				done();
+			}
+		}, 1);
+		ds.options.sampleInterval = 1000000;
+	});
+
+	it('should return the value from alwaysTrace()', () => {
+		expect(ds.alwaysTrace(() => 'foo')).to.equal('foo');
+		expect(() => {
+			ds.alwaysTrace('foo');
+		}).to.throw(TypeError);
+	});
+});
+
+describe('context', () => {
+	afterEach(() => {
+		ds.options.sampleInterval = 1;
+		ds.options.apis = { EventEmitter: true, nextTick: true, setTimeout: true };
+	});
+
+	it('should not have a context by default', () => {
+		expect(ds.getContext()).to.be.undefined;
+	});
+
+	it('should run the function with the context', () => {
+		const result = ds.runWithContext({ requestId: 1 }, () => {
+			expect(ds.getContext()).to.deep.equal({ requestId: 1 });
+			ds.runWithContext({ requestId: 2 }, () => {
+				expect(ds.getContext()).to.deep.equal({ requestId: 2 });
+			});
+			expect(ds.getContext()).to.deep.equal({ requestId: 1 });
+			return 'foo';
+		});
+		expect(result).to.equal('foo');
+		expect(ds.getContext()).to.be.undefined;
+	});
+
+	it('should propagate the context through the async apis', done => {
+		ds.runWithContext('ctx', () => {
+			setTimeout(() => {
+				expect(ds.getContext()).to.equal('ctx');
+				process.nextTick(() => {
+					expect(ds.getContext()).to.equal('ctx');
+					setImmediate(() => {
+						expect(ds.getContext()).to.equal('ctx');
+						const emitter = new EventEmitter();
+						emitter.on('foo', () => {
+							expect(ds.getContext()).to.equal('ctx');
+							Promise.resolve()
+								.then(() => {
+									expect(ds.getContext()).to.equal('ctx');
+									throw new Error('oh no');
+								})
+								.catch(() => {
+									expect(ds.getContext()).to.equal('ctx');
+									done();
+								})
+								.catch(done);
+						});
+						setTimeout(() => emitter.emit('foo'), 0);
+					});
+				});
+			}, 0);
+		});
+		expect(ds.getContext()).to.be.undefined;
+	});
+
+	it('should keep concurrent contexts separate', done => {
+		const seen = [];
+		for (const id of [ 1, 2, 3 ]) {
+			ds.runWithContext(id, () => {
+				setTimeout(() => {
+					process.nextTick(() => {
+						seen.push([ id, ds.getContext() ]);
+						if (seen.length === 3) {
+							expect(seen.every(pair => pair[0] === pair[1])).to.be.true;
+							done();
+						}
+					});
+				}, 10 * (4 - id));
+			});
 		}
 	});
 
-	it('should throw an error from a setTimeout()', done => {
-		process.once('uncaughtException', error => {
-			const stack = error.stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-			done();
-		});
+	it('should propagate the context regardless of sampling', done => {
+		ds.options.sampleInterval = 1000;
+		ds.runWithContext('ctx', () => {
+			setTimeout(() => {
+				expect(ds.getContext()).to.equal('ctx');
+				done();
+			}, 0);
+		});
+	});
+
+	it('should propagate the context through disabled apis', done => {
+		ds.options.apis = { EventEmitter: false, nextTick: false, setTimeout: false };
+		ds.runWithContext('ctx', () => {
+			setTimeout(() => {
+				expect(ds.getContext()).to.equal('ctx');
+				expect(ds.getLongStack(new Error())).to.have.lengthOf(1);
+				const emitter = new EventEmitter();
+				const listener = () => {
+					expect(ds.getContext()).to.equal('ctx');
+					emitter.removeListener('foo', listener);
+					expect(emitter.listenerCount('foo')).to.equal(0);
+					process.nextTick(() => {
+						expect(ds.getContext()).to.equal('ctx');
+						done();
+					});
+				};
+				emitter.on('foo', listener);
+				process.nextTick(() => emitter.emit('foo'));
+			}, 0);
+		});
+	});
+
+	it('should include the context in the long stack segments', done => {
+		ds.runWithContext({ requestId: 123 }, () => {
+			setTimeout(() => {
+				const segments = ds.getLongStack(new Error('oh no'));
+				expect(segments[0].context).to.be.undefined;
+				expect(segments[1].context).to.deep.equal({ requestId: 123 });
+				done();
+			}, 0);
+		});
+	});
+
+	it('should fail to run without a function', () => {
+		expect(() => {
+			ds.runWithContext('ctx', 'foo');
+		}).to.throw(TypeError, 'Expected fn to be a function');
+	});
+});
+
+describe('metadata', () => {
+	afterEach(() => {
+		ds.options.metadata = null;
+		ds.options.emptyFrame = emptyFrame;
+	});
+
+	it('should append the metadata to the boundary', done => {
+		ds.options.metadata = () => ({ reqId: 'abc123', user: 5, ignored: undefined });
+		setTimeout(() => {
+			expect(new Error().stack).to.have.string(`\n${emptyFrame} [reqId=abc123 user=5]\n`);
+			done();
+		}, 0);
+	});
+
+	it('should render the metadata placeholder', done => {
+		ds.options.metadata = () => ({ reqId: 'abc123' });
+		ds.options.emptyFrame = '--- {api} [{metadata}] ---';
+		setTimeout(() => {
+			expect(new Error().stack).to.have.string('\n--- setTimeout [reqId=abc123] ---\n');
+			done();
+		}, 0);
+	});
+
+	it('should capture the metadata when the async call is made', done => {
+		ds.options.metadata = api => ({ api, reqId: ds.getContext() });
+		ds.runWithContext('abc123', () => {
+			process.nextTick(() => {
+				const segments = ds.getLongStack(new Error());
+				expect(segments[1].metadata).to.deep.equal({ api: 'nextTick', reqId: 'abc123' });
+				done();
+			});
+		});
+	});
+
+	it('should not render anything without metadata', done => {
+		ds.options.metadata = () => null;
+		setTimeout(() => {
+			expect(new Error().stack).to.have.string(`\n${emptyFrame}\n`);
+			done();
+		}, 0);
+	});
+
+	it('should ignore a failing metadata provider', done => {
+		ds.options.metadata = () => {
+			throw new Error('oh no');
+		};
+		setTimeout(() => {
+			const segments = ds.getLongStack(new Error());
+			expect(segments[1].api).to.equal('setTimeout');
+			expect(segments[1].metadata).to.be.undefined;
+			done();
+		}, 0);
+	});
+});
+
+describe('causes', () => {
+	const renderCauses = ds.options.renderCauses;
+
+	beforeEach(() => {
+		ds.options.renderCauses = true;
+	});
+
+	afterEach(() => {
+		ds.options.renderCauses = renderCauses;
+	});
+
+	it('should render the cause with its own long stack trace', done => {
+		setTimeout(function first() {
+			let cause = null;
+			setImmediate(function fail() {
+				cause = new Error('inner');
+				cause.stack; // capture the trace where the cause was created
+			});
+			setTimeout(function report() {
+				const error = new Error('outer');
+				error.cause = cause;
+				const parts = error.stack.split('\n  [cause]: ');
+				expect(parts).to.have.lengthOf(2);
+				expect(parts[0]).to.have.string('report');
+
+				const lines = parts[1].split('\n');
+				expect(lines[0]).to.equal('Error: inner');
+				expect(lines[1]).to.match(/^ {6}at .*fail/);
+				expect(lines).to.include(`  ${emptyFrame}`);
+				expect(lines[lines.indexOf(`  ${emptyFrame}`) + 1]).to.match(/^ {6}at .*first/);
+				expect(lines[lines.length - 1]).to.match(/^ {6}\.\.\. \d+ frames shared with the error above \.\.\.$/);
+				done();
+			}, 10);
+		}, 0);
+	});
+
+	it('should render a cause whose stack was not read', done => {
+		process.nextTick(function parse() {
+			let error = null;
+			try {
+				JSON.parse('{');
+			} catch (err) {
+				error = new Error('bad config');
+				error.cause = err;
+			}
+			const lines = error.stack.split('\n');
+			const idx = lines.findIndex(line => line.indexOf('  [cause]: SyntaxError: ') === 0);
+			expect(idx).to.not.equal(-1);
+			expect(lines[idx + 1]).to.match(/^ {6}at .*parse/);
+			expect(lines[lines.length - 1]).to.match(/^ {6}\.\.\. \d+ frames shared with the error above \.\.\.$/);
+			expect(lines.slice(idx)).to.not.include(`  ${emptyFrame}`);
+			expect(error.cause.stack).to.have.string(`\n${emptyFrame}\n`);
+			expect(error.cause.stack).to.not.match(/double-stack\.js/);
+			done();
+		});
+	});
+
+	it('should render a cause that is not an error', () => {
+		const error = new Error('oh no');
+		error.cause = { code: 42 };
+		expect(error.stack).to.match(/\n {2}\[cause\]: \{ code: 42 \}$/);
+	});
+
+	it('should render nested causes', () => {
+		const root = new Error('root');
+		const middle = new Error('middle');
+		middle.cause = root;
+		const error = new Error('outer');
+		error.cause = middle;
+		expect(error.stack).to.have.string('\n  [cause]: Error: middle\n');
+		expect(error.stack).to.have.string('\n    [cause]: Error: root\n');
+	});
+
+	it('should not loop on circular causes', () => {
+		const a = new Error('a');
+		const b = new Error('b');
+		a.cause = b;
+		b.cause = a;
+		expect(a.stack).to.have.string('\n  [cause]: Error: b\n');
+		expect(a.stack).to.have.string('\n    [cause]: [Circular]');
+	});
+
+	(global.AggregateError ? it : it.skip)('should render aggregated errors', () => {
+		const error = new global.AggregateError([ new Error('a'), new TypeError('b') ], 'all failed');
+		const stack = error.stack;
+		expect(stack).to.match(/^AggregateError: all failed\n/);
+		expect(stack).to.have.string('\n  [errors[0]]: Error: a\n');
+		expect(stack).to.have.string('\n  [errors[1]]: TypeError: b\n');
+	});
+
+	it('should only render causes by default when util.inspect() does not print them', () => {
+		const Options = require('../options');
+		const version = process.versions.node.split('.').map(Number);
+		const inspectPrintsCauses = version[0] > 16 || (version[0] === 16 && version[1] >= 14);
+		expect(new Options().renderCauses).to.equal(!inspectPrintsCauses);
+	});
+
+	it('should not render causes when disabled', () => {
+		ds.options.renderCauses = false;
+		const error = new Error('oh no');
+		error.cause = new Error('inner');
+		expect(error.stack).to.not.have.string('[cause]');
+	});
+});
+
+describe('JSON', () => {
+	afterEach(() => {
+		ds.options.metadata = null;
+	});
+
+	it('should serialize an error with its long stack trace', done => {
+		ds.options.metadata = () => ({ reqId: 'abc123' });
+		setTimeout(() => {
+			const error = new TypeError('oh no');
+			const json = ds.toJSON(error);
+			expect(json.version).to.equal(1);
+			expect(json.name).to.equal('TypeError');
+			expect(json.message).to.equal('oh no');
+			expect(json.stack).to.equal(error.stack);
+			expect(json.segments).to.have.lengthOf(2);
+			expect(json.segments[1].api).to.equal('setTimeout');
+			expect(json.segments[1].label).to.equal('setTimeout(10ms)');
+			expect(json.segments[1].delay).to.equal(10);
+			expect(json.segments[1].metadata).to.deep.equal({ reqId: 'abc123' });
+			expect(json.segments[0].frames[0].fileName).to.equal(__filename);
+			expect(json.segments[0].frames[0]).to.not.have.ownProperty('toString');
+			expect(json.segments[0].frames[0].rendered).to.equal(String(ds.getLongStack(error)[0].frames[0]));
+			expect(JSON.parse(JSON.stringify(json)).segments).to.have.lengthOf(2);
+			done();
+		}, 10);
+	});
+
+	it('should rebuild an error that renders identically', done => {
+		setTimeout(() => {
+			const error = new RangeError('oh no');
+			const json = JSON.parse(JSON.stringify(ds.toJSON(error)));
+			const copy = ds.fromJSON(json);
+			expect(copy).to.be.an.instanceof(RangeError);
+			expect(copy.message).to.equal('oh no');
+			expect(copy.stack).to.equal(error.stack);
+
+			const segments = ds.getLongStack(copy);
+			const original = ds.getLongStack(error);
+			expect(segments).to.have.lengthOf(original.length);
+			expect(segments[1].label).to.equal('setTimeout(0ms)');
+			expect(String(segments[0].frames[0])).to.equal(String(original[0].frames[0]));
+			done();
+		}, 0);
+	});
+
+	it('should preserve custom error names', () => {
+		const error = new Error('oh no');
+		error.name = 'CustomError';
+		const copy = ds.fromJSON(ds.toJSON(error));
+		expect(copy).to.be.an.instanceof(Error);
+		expect(copy.name).to.equal('CustomError');
+		expect(copy.stack).to.equal(error.stack);
+	});
+
+	it('should serialize the cause chain', () => {
+		const root = new Error('root');
+		root.cause = 'disk full';
+		const error = new Error('outer');
+		error.cause = root;
+
+		const json = ds.toJSON(error);
+		expect(json.cause.message).to.equal('root');
+		expect(json.cause.cause).to.deep.equal({ value: 'disk full' });
+
+		const copy = ds.fromJSON(json);
+		expect(copy.cause).to.be.an.instanceof(Error);
+		expect(copy.cause.stack).to.equal(root.stack);
+		expect(copy.cause.cause).to.equal('disk full');
+		expect(Object.keys(copy)).to.not.include('cause');
+	});
+
+	it('should not loop on circular causes', () => {
+		const error = new Error('oh no');
+		error.cause = error;
+		const json = ds.toJSON(error);
+		expect(json.cause).to.deep.equal({ circular: true });
+		expect(ds.fromJSON(json)).to.not.have.property('cause');
+	});
+
+	(global.AggregateError ? it : it.skip)('should rebuild an AggregateError', () => {
+		const error = new global.AggregateError([ new TypeError('a'), 'b' ], 'all failed');
+		const json = JSON.parse(JSON.stringify(ds.toJSON(error)));
+		expect(json.errors).to.have.lengthOf(2);
+		expect(json.errors[0].message).to.equal('a');
+		expect(json.errors[1]).to.deep.equal({ value: 'b' });
+
+		const copy = ds.fromJSON(json);
+		expect(copy).to.be.an.instanceof(global.AggregateError);
+		expect(copy.message).to.equal('all failed');
+		expect(copy.stack).to.equal(error.stack);
+		expect(copy.errors).to.have.lengthOf(2);
+		expect(copy.errors[0]).to.be.an.instanceof(TypeError);
+		expect(copy.errors[0].message).to.equal('a');
+		expect(copy.errors[1]).to.equal('b');
+	});
+
+	it('should throw if the error is not an error', () => {
+		expect(() => {
+			ds.toJSON('oh no');
+		}).to.throw(TypeError, 'Expected error to be an Error object');
+	});
 
-		function foo() {
-			throw new Error('foo');
-		}
+	it('should throw if the json is invalid', () => {
+		expect(() => {
+			ds.fromJSON(null);
+		}).to.throw(TypeError, 'Expected json to be a serialized error');
 
-		setTimeout(foo, 0);
+		expect(() => {
+			ds.fromJSON({ version: 2, name: 'Error', message: '', stack: '' });
+		}).to.throw(TypeError, 'Expected version to be 1');
+
+		expect(() => {
+			ds.fromJSON({ version: 1, name: 'Error', message: '', stack: '', segments: [ { api: null } ] });
+		}).to.throw(TypeError, 'Expected json to be a serialized error');
+
+		expect(() => {
+			ds.fromJSON({ version: 1, name: 'Error', message: 42, stack: '' });
+		}).to.throw(TypeError, 'Expected json to be a serialized error');
+
+		expect(() => {
+			ds.fromJSON({ version: 1, name: 'Error', message: '', stack: '', cause: { name: 'Error' } });
+		}).to.throw(TypeError, 'Expected json to be a serialized error');
 	});
 });
 
-describe('EventEmitter', () => {
-	it('should emit an event', () => {
-		const emitter = new EventEmitter;
-		const callback = sinon.spy(() => {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-		});
-		expect(emitter.on('foo', callback)).to.equal(emitter);
-		emitter.on('foo', callback);
-		emitter.on('foo', callback);
-		emitter.emit('foo');
-		expect(callback.calledThrice).to.be.true;
+describe('trace propagation', () => {
+	afterEach(() => {
+		ds.options.propagateTraces = false;
+		ds.options.metadata = null;
 	});
 
-	it('should emit an event once', () => {
-		const emitter = new EventEmitter;
-		const callback = sinon.spy(() => {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+	function forkChild(callback) {
+		// `fork()` must be looked up after double-stack is installed
+		const child = childProcess.fork(path.join(__dirname, 'resources', 'forked.js'), [], { stdio: [ 'ignore', 'ignore', 'ignore', 'ipc' ] });
+		let error = null;
+		child.on('uncaughtException', err => {
+			error = err;
 		});
-		expect(emitter.once('foo', callback)).to.equal(emitter);
-		emitter.emit('foo');
-		emitter.emit('foo');
-		expect(callback.calledOnce).to.be.true;
+		child.on('exit', () => callback(error));
+	}
+
+	(supportsExceptionMonitor ? it : it.skip)('should continue the stack of a forked child process in the parent', function (done) {
+		this.timeout(10000);
+		ds.options.propagateTraces = true;
+
+		setTimeout(function startChild() {
+			forkChild(error => {
+				expect(error).to.be.an.instanceof(Error);
+				expect(error.message).to.equal('oh no');
+				const segments = ds.getLongStack(error);
+				const apis = segments.map(segment => segment.api);
+				expect(apis).to.include('fork');
+				const forked = apis.indexOf('fork');
+				expect(segments[forked].label).to.equal('child_process.fork()');
+				expect(segments[forked].frames.some(frame => frame.functionName === 'startChild')).to.be.true;
+				expect(apis.slice(forked + 1)).to.include('setTimeout');
+				expect(segments.slice(forked).every(segment => segment.id === null)).to.be.true;
+				expect(segments.slice(0, forked).some(segment => segment.frames.some(frame => frame.functionName === 'throwError'))).to.be.true;
+				expect(error.stack).to.have.string('forked.js');
+				expect(error.stack).to.have.string('startChild');
+				done();
+			});
+		}, 0);
 	});
 
-	it('should emit an event and capture stack from setTimeout()', done => {
-		const emitter = new EventEmitter;
-		const callback = sinon.spy(() => {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-		});
-		emitter.on('foo', callback);
-		setTimeout(() => {
-			emitter.emit('foo');
-			expect(callback.calledOnce).to.be.true;
+	it('should not pass the stack to a forked child process when disabled', function (done) {
+		this.timeout(10000);
+		forkChild(error => {
+			expect(error).to.be.null;
 			done();
-		}, 100);
-	});
-
-	it('should emit an event once and capture stack from setTimeout()', done => {
-		const emitter = new EventEmitter;
-		const callback = sinon.spy(() => {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
 		});
-		emitter.once('foo', callback);
-		setTimeout(() => {
-			emitter.emit('foo');
-			expect(callback.calledOnce).to.be.true;
-			done();
-		}, 100);
 	});
 
-	it('should listen and emit an event and capture stack from setTimeout()', done => {
-		const emitter = new EventEmitter;
-		const callback = sinon.spy(() => {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(3);
-		});
+	it('should limit the size of the stack passed to a forked child process', function (done) {
+		this.timeout(10000);
+		ds.options.propagateTraces = true;
+		ds.options.metadata = () => ({ pad: 'x'.repeat(5000) });
+
 		setTimeout(() => {
-			emitter.on('foo', callback);
+			setImmediate(() => {
+				process.nextTick(() => {
+					setTimeout(() => {
+						ds.options.metadata = null;
+						const child = childProcess.fork(path.join(__dirname, 'resources', 'parent-trace.js'), [], { stdio: [ 'ignore', 'ignore', 'inherit', 'ipc' ] });
+						child.on('message', trace => {
+							expect(trace.length).to.be.at.most(16384);
+							const segments = JSON.parse(trace).segments;
+							expect(segments.length).to.be.at.least(1);
+							expect(segments[0].frames.length).to.be.at.least(1);
+							done();
+						});
+					}, 0);
+				});
+			});
 		}, 0);
-		setTimeout(() => {
-			emitter.emit('foo');
-			expect(callback.calledOnce).to.be.true;
-			done();
-		}, 100);
 	});
 
-	it('should listen and emit an event and capture stack from setTimeout()', done => {
-		const emitter = new EventEmitter;
-		const callback = sinon.spy(() => {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(3);
-		});
-		setTimeout(() => {
-			emitter.once('foo', callback);
-		}, 0);
-		setTimeout(() => {
-			emitter.emit('foo');
-			expect(callback.calledOnce).to.be.true;
+	(workerThreads ? it : it.skip)('should continue the stack of a worker thread in the parent', function (done) {
+		this.timeout(10000);
+		ds.options.propagateTraces = true;
+		ds.options.emptyFrame = '--- {label} ---';
+
+		const code = `
+			const ds = require(${JSON.stringify(path.join(__dirname, '..', 'double-stack'))});
+			ds.install({ emptyFrame: '--- {label} ---' });
+			throw new Error('oh no');
+		`;
+		const worker = (function startWorker() {
+			return new workerThreads.Worker(code, { eval: true });
+		}());
+		ds.options.emptyFrame = emptyFrame;
+
+		expect(process.env).to.not.have.property('DOUBLE_STACK_PARENT_TRACE');
+
+		worker.on('error', err => {
+			expect(err.message).to.equal('oh no');
+			expect(err.stack).to.have.string('\n--- new Worker() ---\n');
+			expect(err.stack.split('--- new Worker() ---')[1]).to.have.string('startWorker');
 			done();
-		}, 100);
+		});
 	});
+});
 
-	it('should return get listeners', () => {
-		function foo1() {}
-		function foo2() {}
+describe('retention', () => {
+	afterEach(() => {
+		ds.options.maxRetainedFrames = 0;
+	});
 
-		const emitter = new EventEmitter;
-		emitter.on('foo', foo1);
-		emitter.on('foo', foo2);
+	it('should count the created traces', () => {
+		const before = ds.getTraceStats().created;
+		clearTimeout(setTimeout(() => {}, 1000));
+		const stats = ds.getTraceStats();
+		expect(stats.created).to.equal(before + 1);
+		expect(stats.maxRetainedFrames).to.equal(0);
+		expect(stats.records).to.be.null;
+		expect(stats.frames).to.be.null;
+	});
 
-		const listeners = emitter.listeners('foo');
-		expect(listeners).to.have.lengthOf(2);
-		expect(listeners[0]).to.equal(foo1);
-		expect(listeners[1]).to.equal(foo2);
+	it('should evict the least recently used traces', () => {
+		ds.options.maxRetainedFrames = 50;
+		const before = ds.getTraceStats().evicted;
+		for (let i = 0; i < 20; i++) {
+			clearTimeout(setTimeout(() => {}, 1000));
+		}
+		const stats = ds.getTraceStats();
+		expect(stats.records).to.be.above(0);
+		expect(stats.frames).to.be.at.most(50);
+		expect(stats.evicted).to.be.above(before);
+		expect(stats.maxRetainedFrames).to.equal(50);
 	});
 
-	it('should remove listener', () => {
-		function foo() {}
-		const emitter = new EventEmitter;
-		emitter.on('foo', foo);
+	it('should stop rendering the history at an evicted trace', done => {
+		ds.options.maxRetainedFrames = 100;
+		setTimeout(function a() {
+			setTimeout(function b() {
+				for (let i = 0; i < 100; i++) {
+					clearTimeout(setTimeout(() => {}, 1000));
+				}
+				const segments = ds.getLongStack(new Error());
+				expect(segments).to.have.lengthOf(1);
+				done();
+			}, 0);
+		}, 0);
+	});
+});
 
-		let listeners = emitter.listeners('foo');
-		expect(listeners).to.have.lengthOf(1);
-		expect(listeners[0]).to.equal(foo);
+describe('lazy capture', () => {
+	it('should parse and render frames the same way V8 does', () => {
+		const lines = [
+			'    at foo (/path/to/file.js:1:2)',
+			'    at /path/to/file.js:3:4',
+			'    at Object.<anonymous> (/path/to/file.js:5:6)',
+			'    at Timeout.poll [as _onTimeout] (/path/to/file.js:7:8)',
+			'    at Function.Module._load (module.js:9:10)',
+			'    at new Foo (/path/to/file.js:11:12)',
+			'    at async bar (/path/to/file.js:13:14)',
+			'    at Array.forEach (native)',
+			'    at Array.map (<anonymous>)',
+			'    at eval (eval at <anonymous> (/path/to/file.js:15:16), <anonymous>:1:1)'
+		];
+		for (const line of lines) {
+			expect(CallSite.parse(line).toString()).to.equal(line.replace(/^\s*at /, ''));
+		}
 
-		expect(emitter.removeListener('foo', foo)).to.equal(emitter);
-		listeners = emitter.listeners('foo');
-		expect(listeners).to.have.lengthOf(0);
+		const frame = CallSite.parse(lines[3]);
+		expect(frame.getTypeName()).to.equal('Timeout');
+		expect(frame.getFunctionName()).to.equal('poll');
+		expect(frame.getMethodName()).to.equal('_onTimeout');
+		expect(frame.getFileName()).to.equal('/path/to/file.js');
+		expect(frame.getLineNumber()).to.equal(7);
+		expect(frame.getColumnNumber()).to.equal(8);
+
+		expect(CallSite.parse('Error: oh no')).to.be.null;
+	});
+
+	it('should materialize the parent frames when the stack is read', done => {
+		setTimeout(function a() {
+			setImmediate(function b() {
+				const segments = ds.getLongStack(new Error());
+				expect(segments).to.have.length.of.at.least(3);
+				expect(segments[1].frames[0].functionName).to.equal('a');
+				expect(segments[1].frames[0].lineNumber).to.be.a('number');
+				expect(segments[1].frames[0].columnNumber).to.be.a('number');
+				done();
+			});
+		}, 0);
 	});
 });
 
-describe('Promises', () => {
-	it('should resolve a promise', done => {
-		const promise = new Promise((resolve, reject) => {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-			resolve('foo');
+describe('async/await', () => {
+	(supportsAsyncHooks ? it : it.skip)('should capture stack across native awaits', () => {
+		const outer = require('./resources/async-await');
+		return outer().then(stack => {
+			const segments = stack.split(emptyFrame);
+			expect(segments.length).to.be.at.least(4);
+			expect(segments[0]).to.match(/at inner/);
+			expect(stack).to.match(/at (async )?middle/);
+			expect(stack).to.match(/at (async )?outer/);
 		});
+	});
 
-		expect(promise).to.have.property('__stack__');
-		expect(promise.__stack__).to.be.an.instanceof(Array);
+	(supportsAsyncStackTraces ? it : it.skip)('should capture stack of an error thrown across native awaits', () => {
+		const outer = require('./resources/async-await');
+		return outer(true)
+			.then(() => {
+				throw new Error('Expected error to be thrown');
+			}, err => {
+				expect(err.message).to.equal('oh no');
+				const segments = err.stack.split(emptyFrame);
+				expect(segments.length).to.be.at.least(3);
+				expect(segments[0]).to.match(/at inner/);
+				expect(segments[1]).to.match(/^\s+at (async )?middle/);
+				expect(segments[2]).to.match(/^\s+at (async )?outer/);
+			});
+	});
 
-		promise
-			.then(result => {
-				expect(result).to.equal('foo');
+	(supportsAsyncHooks ? it : it.skip)('should stop and resume tracing native awaits when Promise is toggled', () => {
+		const outer = require('./resources/async-await');
+		ds.options.apis = { Promise: false };
+		let promise;
+		try {
+			promise = outer();
+			expect(promise).to.not.have.property('__stack__');
+		} finally {
+			ds.options.apis = { Promise: true };
+		}
+		return promise
+			.then(() => outer())
+			.then(stack => {
+				expect(stack.split(emptyFrame).length).to.be.at.least(4);
+			});
+	});
+
+	(supportsAsyncHooks ? it : it.skip)('should propagate the context across native awaits when Promise is disabled', () => {
+		const readContext = require('./resources/async-context');
+		ds.options.apis = { Promise: false };
+		return ds.runWithContext('ctx', () => readContext())
+			.then(context => {
+				ds.options.apis = { Promise: true };
+				expect(context).to.equal('ctx');
+			}, err => {
+				ds.options.apis = { Promise: true };
+				throw err;
+			});
+	});
+
+	(supportsAsyncHooks ? it : it.skip)('should not capture promises twice', done => {
+		Promise.resolve()
+			.then(() => {
 				const stack = new Error().stack;
 				expect(stack.split(emptyFrame)).to.have.lengthOf(2);
 				done();
 			})
-			.catch(err => {
-				done(err);
-			});
+			.catch(done);
 	});
+});
 
-	it('should resolve a deferred promise', done => {
-		const promise = new Promise((resolve, reject) => {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-			resolve('foo');
+describe('async hooks backend', () => {
+	before(() => {
+		ds.install({ backend: 'hooks' });
+	});
+
+	after(() => {
+		ds.install({ backend: 'wrap' });
+	});
+
+	it('should use async hooks instead of wrapping', () => {
+		expect(ds.isInstalled()).to.be.true;
+		expect(global.setTimeout).to.equal(originals.setTimeout);
+		expect(global.Promise).to.equal(originals.Promise);
+		expect(EventEmitter.prototype.addListener).to.equal(originals.addListener);
+	});
+
+	// note: mocha's own timers are traced too, so there may be additional segments at the end
+
+	it('should propagate the context', done => {
+		ds.runWithContext('ctx', () => {
+			setTimeout(() => {
+				fs.stat(__filename, () => {
+					expect(ds.getContext()).to.equal('ctx');
+					done();
+				});
+			}, 0);
 		});
+	});
 
+	it('should capture stack from a setTimeout()', function testFunction(done) {
 		setTimeout(() => {
-			promise
-				.then(result => {
-					expect(result).to.equal('foo');
-					const stack = new Error().stack;
-					expect(stack.split(emptyFrame)).to.have.lengthOf(3);
+			const segments = new Error().stack.split(emptyFrame);
+			expect(segments.length).to.be.at.least(2);
+			expect(segments[1]).to.match(/^\s+at Context\.testFunction/);
+			done();
+		}, 0);
+	});
+
+	it('should capture stack from nested async calls', function testFunction(done) {
+		setTimeout(function timeoutCallback() {
+			process.nextTick(function tickCallback() {
+				setImmediate(() => {
+					const segments = new Error().stack.split(emptyFrame);
+					expect(segments.length).to.be.at.least(4);
+					expect(segments[1]).to.match(/^\s+at tickCallback/);
+					expect(segments[2]).to.match(/^\s+at Timeout\.timeoutCallback/);
+					expect(segments[3]).to.match(/^\s+at Context\.testFunction/);
 					done();
-				})
-				.catch(err => {
-					done(err);
 				});
+			});
 		}, 0);
 	});
 
-	it('should catch a rejection', done => {
-		const promise = new Promise((resolve, reject) => {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-			reject(new Error('oh no'));
+	it('should capture stack from fs callbacks', function testFunction(done) {
+		fs.readFile(path.join(__dirname, 'resources', 'child.js'), () => {
+			const segments = new Error().stack.split(emptyFrame);
+			expect(segments.length).to.be.at.least(2);
+			expect(segments.join(emptyFrame)).to.have.string('testFunction');
+			done();
 		});
+	});
 
-		promise
-			.then(() => {
-				done(new Error('Reject was not caught'));
-			})
-			.catch(err => {
-				expect(err.message).to.equal('oh no');
-				const stack = new Error().stack;
-				expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+	it('should label the segments the same as the wrap backend', done => {
+		setTimeout(() => {
+			process.nextTick(() => {
+				const segments = ds.getLongStack(new Error());
+				expect(segments[1].api).to.equal('nextTick');
+				expect(segments[1].label).to.equal('process.nextTick()');
+				expect(segments[2].api).to.equal('setTimeout');
+				expect(segments[2].delay).to.equal(10);
+				expect(segments[2].label).to.equal('setTimeout(10ms)');
 				done();
 			});
+		}, 10);
 	});
 
-	it('should catch an error', done => {
-		const promise = new Promise((resolve, reject) => {
-			const stack = new Error().stack;
-			expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-			throw new Error('oh no');
-		});
-
-		promise
-			.then(() => {
-				done(new Error('Reject was not caught'));
-			})
-			.catch(err => {
-				expect(err.message).to.equal('oh no');
-				const stack = new Error().stack;
-				expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+	it('should propagate the context through disabled apis', done => {
+		ds.options.apis = { setTimeout: false };
+		ds.runWithContext('ctx', () => {
+			setTimeout(() => {
+				ds.options.apis = { setTimeout: true };
+				expect(ds.getContext()).to.equal('ctx');
 				done();
-			});
+			}, 0);
+		});
 	});
 
-	it('should resolve a promise chain', done => {
-		Promise.resolve('foo')
-			.then(result => {
-				expect(result).to.equal('foo');
-				const stack = new Error().stack;
-				expect(stack.split(emptyFrame)).to.have.lengthOf(2);
+	it('should skip disabled apis', function testFunction(done) {
+		ds.options.apis = { nextTick: false };
+		setTimeout(function timeoutCallback() {
+			process.nextTick(() => {
+				ds.options.apis = { nextTick: true };
+				const segments = new Error().stack.split(emptyFrame);
+				expect(segments[0]).to.not.have.string('timeoutCallback');
+				expect(segments[1]).to.match(/^\s+at Context\.testFunction/);
 				done();
-			})
-			.catch(err => {
-				done(err);
 			});
+		}, 0);
 	});
 
-	it('should reject a promise chain', done => {
-		Promise.reject(new Error('oh no'))
-			.then(() => {
-				done(new Error('Reject was not caught'));
-			})
-			.catch(err => {
-				expect(err.message).to.equal('oh no');
-				const stack = new Error().stack;
-				expect(stack.split(emptyFrame)).to.have.lengthOf(2);
-				done();
-			});
+	it('should embed the stack in timers', function testFunction() {
+		const timer = setTimeout(() => {}, 1000);
+		clearTimeout(timer);
+		expect(timer).to.have.property('__stack__');
+		expect(timer.__stack__[0].functionName).to.equal('testFunction');
 	});
 });